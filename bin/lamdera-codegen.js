@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Generate TypeScript Wire3 codecs from a Lamdera Types.elm
+ *
+ * Usage:
+ *   lamdera-websocket-codegen src/Types.elm                      // Print to stdout
+ *   lamdera-websocket-codegen src/Types.elm -o src/lamdera.ts    // Write to a file
+ *   lamdera-websocket-codegen src/Types.elm --types ToBackend    // Only these roots
+ *   lamdera-websocket-codegen src/Types.elm --import ./lamdera-websocket
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { generateTypeScript } = require('../src/codegen.js');
+
+const args = process.argv.slice(2);
+
+const usage = () => {
+    console.log('Usage: lamdera-websocket-codegen <Types.elm> [options]\n');
+    console.log('Options:');
+    console.log('  -o, --out <file>        # Write the generated module to <file> (default: stdout)');
+    console.log('  --types <A,B,...>       # Root types to generate (default: ToBackend,ToFrontend)');
+    console.log('  --import <module>       # Module to import W from (default: lamdera-websocket)');
+    console.log('  --help, -h              # Show this help message');
+};
+
+const optionValue = (...names) => {
+    const index = args.findIndex(arg => names.includes(arg));
+    if (index === -1) return undefined;
+    const value = args[index + 1];
+    if (value === undefined || value.startsWith('-')) {
+        console.error(`❌ Missing value for ${args[index]}`);
+        process.exit(1);
+    }
+    args.splice(index, 2);
+    return value;
+};
+
+if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    usage();
+    process.exit(args.length === 0 ? 1 : 0);
+}
+
+const out = optionValue('-o', '--out');
+const types = optionValue('--types');
+const importFrom = optionValue('--import');
+const [input] = args;
+
+try {
+    const source = fs.readFileSync(input, 'utf8');
+    const { code, warnings } = generateTypeScript(source, {
+        roots: types ? types.split(',').map(t => t.trim()).filter(Boolean) : undefined,
+        importFrom,
+        sourceName: path.basename(input)
+    });
+
+    for (const warning of warnings) {
+        console.error(`⚠️ ${warning}`);
+    }
+
+    if (out) {
+        fs.writeFileSync(out, code);
+        console.error(`✅ Wrote ${out}`);
+    } else {
+        process.stdout.write(code);
+    }
+} catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+}
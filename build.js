@@ -1,20 +1,33 @@
 const fs = require('fs');
+const path = require('path');
 
 if (!fs.existsSync('dist')) fs.mkdirSync('dist');
 
-const content = fs.readFileSync('src/index.js', 'utf8');
+const toEsm = (content) => content
+    .replace(
+        /^const (\{[^;]*?\}) = require\('\.\/([\w-]+)\.js'\);/gm,
+        "import $1 from './$2.mjs';"
+    )
+    .replace(
+        /import\('\.\/([\w-]+)\.js'\)/g,
+        "import('./$1.mjs')"
+    )
+    .replace(
+        /module\.exports = \{([\s\S]*?)\};/,
+        'export {\n$1\n};'
+    );
 
-fs.writeFileSync('dist/index.js', content);
+for (const file of fs.readdirSync('src')) {
+    const source = path.join('src', file);
 
-const esmContent = content.replace(
-    /module\.exports = \{([\s\S]*?)\};/,
-    'export {\n$1\n};'
-);
-
-fs.writeFileSync('dist/index.mjs', esmContent);
-
-if (fs.existsSync('src/index.d.ts')) {
-    fs.copyFileSync('src/index.d.ts', 'dist/index.d.ts');
+    if (file.endsWith('.d.ts')) {
+        fs.copyFileSync(source, path.join('dist', file));
+    } else if (file.endsWith('.js')) {
+        const content = fs.readFileSync(source, 'utf8');
+        const name = path.basename(file, '.js');
+        fs.writeFileSync(path.join('dist', `${name}.js`), content);
+        fs.writeFileSync(path.join('dist', `${name}.mjs`), toEsm(content));
+    }
 }
 
-console.log('Built CommonJS and ESM versions'); 
\ No newline at end of file
+console.log('Built CommonJS and ESM versions');
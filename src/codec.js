@@ -0,0 +1,213 @@
+// ============================================================================
+// Wire3 Codec Combinators
+// ============================================================================
+//
+// A JS counterpart to Elm's Lamdera.Wire3 combinators. A codec pairs an
+// encoder with its decoder so one description of a type serves both ways:
+//
+//   const ToBackend = W.custom([
+//       W.variant('A00_WebSocketReceive', W.string),
+//       W.variant('SaveUser', W.record({ name: W.string, age: W.int }))
+//   ]);
+//
+//   const bytes = ToBackend.encode({ tag: 'SaveUser', args: [{ name: 'Ada', age: 36 }] });
+//   const { value, bytesRead } = ToBackend.decode(bytes, 0);
+
+const {
+    concatBytes,
+    encodeInt64,
+    decodeInt64,
+    encodeString,
+    decodeString,
+    encodeBool,
+    decodeBool,
+    encodeFloat,
+    decodeFloat,
+    encodeChar,
+    decodeChar,
+    encodeUnit,
+    decodeUnit,
+    encodeMaybe,
+    decodeMaybe,
+    encodeResult,
+    decodeResult,
+    encodeList,
+    decodeList,
+    encodeArray,
+    decodeArray,
+    encodeTuple,
+    decodeTuple,
+    encodeDict,
+    decodeDict,
+    encodeSet,
+    decodeSet,
+    encodeRecord,
+    decodeRecord
+} = require('./wire3.js');
+
+const MAX_VARIANTS = 256;
+
+/**
+ * Build a codec from an encoder `(value) -> Uint8Array` and a decoder
+ * `(buffer, offset) -> { value, bytesRead }`.
+ */
+const codec = (encode, decode) => ({
+    encode: (value) => encode(value),
+    decode: (buffer, offset = 0) => decode(buffer, offset)
+});
+
+const int = codec(encodeInt64, decodeInt64);
+const float = codec(encodeFloat, decodeFloat);
+const string = codec(encodeString, decodeString);
+const bool = codec(encodeBool, decodeBool);
+const char = codec(encodeChar, decodeChar);
+const unit = codec(encodeUnit, decodeUnit);
+
+const maybe = (inner) => codec(encodeMaybe(inner.encode), decodeMaybe(inner.decode));
+
+const result = (error, value) => codec(
+    encodeResult(error.encode, value.encode),
+    decodeResult(error.decode, value.decode)
+);
+
+const list = (item) => codec(encodeList(item.encode), decodeList(item.decode));
+
+const array = (item) => codec(encodeArray(item.encode), decodeArray(item.decode));
+
+const tuple = (...components) => codec(
+    encodeTuple(...components.map(c => c.encode)),
+    decodeTuple(...components.map(c => c.decode))
+);
+
+const dict = (key, value) => codec(
+    encodeDict(key.encode, value.encode),
+    decodeDict(key.decode, value.decode)
+);
+
+const set = (item) => codec(encodeSet(item.encode), decodeSet(item.decode));
+
+const mapFields = (fields, pick) =>
+    Object.fromEntries(Object.entries(fields).map(([name, c]) => [name, pick(c)]));
+
+const record = (fields) => codec(
+    encodeRecord(mapFields(fields, c => c.encode)),
+    decodeRecord(mapFields(fields, c => c.decode))
+);
+
+/**
+ * Convert between a wire type and a richer JS type, e.g. a Posix time
+ * (`W.int`) and a Date: `W.map(W.int, ms => new Date(ms), date => date.getTime())`.
+ */
+const map = (inner, fromWire, toWire) => codec(
+    (value) => inner.encode(toWire(value)),
+    (buffer, offset) => {
+        const { value, bytesRead } = inner.decode(buffer, offset);
+        return { value: fromWire(value), bytesRead };
+    }
+);
+
+/**
+ * Defer building a codec until first use, for recursive types:
+ * `const tree = W.custom([W.variant('Leaf'), W.variant('Node', W.lazy(() => tree), W.lazy(() => tree))])`.
+ */
+const lazy = (thunk) => {
+    let resolved = null;
+    const get = () => resolved || (resolved = thunk());
+    return codec(
+        (value) => get().encode(value),
+        (buffer, offset) => get().decode(buffer, offset)
+    );
+};
+
+/**
+ * Describe one constructor of a custom type and the codecs of its arguments.
+ */
+const variant = (name, ...args) => ({ name, args });
+
+/**
+ * Build a codec for a custom type. Lamdera numbers constructors in
+ * alphabetical order of their names, so `variants` may be listed in any
+ * order. Values are `{ tag: 'ConstructorName', args: [...] }`; the tag is
+ * written as a single byte, followed by each argument.
+ */
+const custom = (variants) => {
+    if (variants.length > MAX_VARIANTS) {
+        throw new Error(`Custom types support at most ${MAX_VARIANTS} variants, got ${variants.length}`);
+    }
+
+    const sorted = [...variants]
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+        .map((v, index) => ({
+            name: v.name,
+            index,
+            args: v.args,
+            encode: encodeTuple(...v.args.map(c => c.encode)),
+            decode: decodeTuple(...v.args.map(c => c.decode))
+        }));
+
+    const byName = new Map();
+    for (const v of sorted) {
+        if (byName.has(v.name)) {
+            throw new Error(`Duplicate variant name: ${v.name}`);
+        }
+        byName.set(v.name, v);
+    }
+
+    const encode = (value) => {
+        const v = byName.get(value.tag);
+        if (!v) {
+            throw new Error(`Unknown variant: ${value.tag}`);
+        }
+        return concatBytes([Uint8Array.of(v.index), v.encode(value.args || [])]);
+    };
+
+    const decode = (buffer, offset) => {
+        if (offset >= buffer.length) {
+            throw new Error('Buffer too short for Wire3 variant tag');
+        }
+        const v = sorted[buffer[offset]];
+        if (!v) {
+            throw new Error(`Unknown variant index: ${buffer[offset]}`);
+        }
+        const { value: args, bytesRead } = v.decode(buffer, offset + 1);
+        return { value: { tag: v.name, args }, bytesRead: 1 + bytesRead };
+    };
+
+    return {
+        ...codec(encode, decode),
+        variants: sorted.map(({ name, index, args }) => ({ name, index, args })),
+        tagOf: (name) => {
+            const v = byName.get(name);
+            if (!v) {
+                throw new Error(`Unknown variant: ${name}`);
+            }
+            return v.index;
+        }
+    };
+};
+
+const W = {
+    codec,
+    int,
+    float,
+    string,
+    bool,
+    char,
+    unit,
+    maybe,
+    result,
+    list,
+    array,
+    tuple,
+    dict,
+    set,
+    record,
+    map,
+    lazy,
+    variant,
+    custom
+};
+
+module.exports = {
+    W
+};
@@ -0,0 +1,583 @@
+// ============================================================================
+// Elm Types.elm -> TypeScript Codec Generator
+// ============================================================================
+//
+// Parses the type declarations of a Lamdera Types.elm and emits a TypeScript
+// module with a `W` codec and a TypeScript type for ToBackend, ToFrontend and
+// every type they reference. Variant indices are computed with the same
+// alphabetical ordering Lamdera uses (and W.custom applies at runtime).
+
+const DEFAULT_ROOTS = ['ToBackend', 'ToFrontend'];
+const DEFAULT_IMPORT = 'lamdera-websocket';
+
+// Elm types with a built-in Wire3 encoding: codec expression and TS type
+const BUILTIN_TYPES = {
+    'Int': { arity: 0, codec: () => 'W.int', ts: () => 'number' },
+    'Float': { arity: 0, codec: () => 'W.float', ts: () => 'number' },
+    'String': { arity: 0, codec: () => 'W.string', ts: () => 'string' },
+    'Bool': { arity: 0, codec: () => 'W.bool', ts: () => 'boolean' },
+    'Char': { arity: 0, codec: () => 'W.char', ts: () => 'string' },
+    'Time.Posix': { arity: 0, codec: () => 'W.int', ts: () => 'number' },
+    'Maybe': { arity: 1, codec: ([a]) => `W.maybe(${a})`, ts: ([a]) => `${a} | null` },
+    'Result': { arity: 2, codec: ([e, a]) => `W.result(${e}, ${a})`, ts: ([e, a]) => `Result<${e}, ${a}>` },
+    'List': { arity: 1, codec: ([a]) => `W.list(${a})`, ts: ([a]) => `Array<${a}>` },
+    'Array': { arity: 1, codec: ([a]) => `W.array(${a})`, ts: ([a]) => `Array<${a}>` },
+    'Array.Array': { arity: 1, codec: ([a]) => `W.array(${a})`, ts: ([a]) => `Array<${a}>` },
+    'Dict': { arity: 2, codec: ([k, v]) => `W.dict(${k}, ${v})`, ts: ([k, v]) => `Map<${k}, ${v}>` },
+    'Dict.Dict': { arity: 2, codec: ([k, v]) => `W.dict(${k}, ${v})`, ts: ([k, v]) => `Map<${k}, ${v}>` },
+    'Set': { arity: 1, codec: ([a]) => `W.set(${a})`, ts: ([a]) => `Set<${a}>` },
+    'Set.Set': { arity: 1, codec: ([a]) => `W.set(${a})`, ts: ([a]) => `Set<${a}>` }
+};
+
+// ============================================================================
+// Source Preprocessing
+// ============================================================================
+
+/**
+ * Remove `--` line comments and nested `{- -}` block comments, leaving
+ * string and char literals untouched. Newlines are kept so that top-level
+ * declarations still start at column 0.
+ */
+const stripComments = (source) => {
+    let out = '';
+    let i = 0;
+    let depth = 0;
+
+    while (i < source.length) {
+        const two = source.slice(i, i + 2);
+
+        if (depth > 0) {
+            if (two === '{-') { depth++; i += 2; continue; }
+            if (two === '-}') { depth--; i += 2; continue; }
+            if (source[i] === '\n') out += '\n';
+            i++;
+            continue;
+        }
+
+        if (two === '{-') { depth++; i += 2; continue; }
+
+        if (two === '--') {
+            while (i < source.length && source[i] !== '\n') i++;
+            continue;
+        }
+
+        if (source.startsWith('"""', i)) {
+            const end = source.indexOf('"""', i + 3);
+            const stop = end === -1 ? source.length : end + 3;
+            out += source.slice(i, stop);
+            i = stop;
+            continue;
+        }
+
+        if (source[i] === '"' || source[i] === '\'') {
+            const quote = source[i];
+            let j = i + 1;
+            while (j < source.length && source[j] !== quote && source[j] !== '\n') {
+                j += source[j] === '\\' ? 2 : 1;
+            }
+            out += source.slice(i, j + 1);
+            i = j + 1;
+            continue;
+        }
+
+        out += source[i];
+        i++;
+    }
+
+    return out;
+};
+
+/**
+ * Split a module into top-level declarations: each starts on a line that
+ * begins at column 0.
+ */
+const splitDeclarations = (source) => {
+    const declarations = [];
+    for (const line of source.split('\n')) {
+        if (/^\S/.test(line)) {
+            declarations.push(line);
+        } else if (declarations.length > 0) {
+            declarations[declarations.length - 1] += '\n' + line;
+        }
+    }
+    return declarations;
+};
+
+// ============================================================================
+// Type Declaration Parsing
+// ============================================================================
+
+const TOKEN_PATTERN = /\s*(->|[(){},:|=]|[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*)/y;
+
+const tokenize = (text) => {
+    const tokens = [];
+    let position = 0;
+    TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+        tokens.push(match[1]);
+        position = TOKEN_PATTERN.lastIndex;
+    }
+    const rest = text.slice(position).trim();
+    if (rest !== '') {
+        throw new Error(`Unexpected input in type declaration: ${rest.slice(0, 40)}`);
+    }
+    return tokens;
+};
+
+const isUpper = (token) => /^[A-Z]/.test(token);
+const isLower = (token) => /^[a-z_]/.test(token) && !token.includes('.');
+
+const createParser = (tokens) => {
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (token) => {
+        const actual = next();
+        if (actual !== token) {
+            throw new Error(`Expected "${token}" but found "${actual === undefined ? 'end of declaration' : actual}"`);
+        }
+    };
+    const atEnd = () => position >= tokens.length;
+
+    // atype := var | Name | () | ( type, ... ) | { fields }
+    const parseAtom = () => {
+        const token = next();
+
+        if (token === '(') {
+            if (peek() === ')') {
+                next();
+                return { kind: 'unit' };
+            }
+            const items = [parseType()];
+            while (peek() === ',') {
+                next();
+                items.push(parseType());
+            }
+            expect(')');
+            return items.length === 1 ? items[0] : { kind: 'tuple', items };
+        }
+
+        if (token === '{') {
+            return parseRecord();
+        }
+
+        if (token !== undefined && isUpper(token.split('.').pop())) {
+            return { kind: 'named', name: token, args: [] };
+        }
+
+        if (token !== undefined && isLower(token)) {
+            return { kind: 'var', name: token };
+        }
+
+        throw new Error(`Unexpected token "${token === undefined ? 'end of declaration' : token}" in type`);
+    };
+
+    const parseRecord = () => {
+        const fields = [];
+        let extensible = null;
+
+        if (peek() === '}') {
+            next();
+            return { kind: 'record', fields, extensible };
+        }
+
+        if (isLower(peek()) && tokens[position + 1] === '|') {
+            extensible = next();
+            next();
+        }
+
+        do {
+            const name = next();
+            expect(':');
+            fields.push({ name, type: parseType() });
+        } while (peek() === ',' && next());
+
+        expect('}');
+        return { kind: 'record', fields, extensible };
+    };
+
+    const startsAtom = (token) =>
+        token === '(' || token === '{' || (token !== undefined && /^[A-Za-z_]/.test(token));
+
+    // btype := Name atype* | atype
+    const parseApplication = () => {
+        const token = peek();
+        if (token !== undefined && isUpper(token.split('.').pop())) {
+            next();
+            const args = [];
+            while (startsAtom(peek())) {
+                args.push(parseAtom());
+            }
+            return { kind: 'named', name: token, args };
+        }
+        return parseAtom();
+    };
+
+    // type := btype ( -> type )?
+    const parseType = () => {
+        const from = parseApplication();
+        if (peek() === '->') {
+            next();
+            return { kind: 'function', from, to: parseType() };
+        }
+        return from;
+    };
+
+    const parseVariants = () => {
+        const variants = [];
+        do {
+            const name = next();
+            if (name === undefined || !isUpper(name) || name.includes('.')) {
+                throw new Error(`Expected a constructor name but found "${name}"`);
+            }
+            const args = [];
+            while (startsAtom(peek())) {
+                args.push(parseAtom());
+            }
+            variants.push({ name, args });
+        } while (peek() === '|' && next());
+        return variants;
+    };
+
+    return { peek, next, expect, atEnd, parseType, parseVariants };
+};
+
+/**
+ * Parse one `type` or `type alias` declaration.
+ */
+const parseTypeDeclaration = (text) => {
+    const parser = createParser(tokenize(text));
+    parser.expect('type');
+
+    const isAlias = parser.peek() === 'alias';
+    if (isAlias) parser.next();
+
+    const name = parser.next();
+    const params = [];
+    while (parser.peek() !== '=' && !parser.atEnd()) {
+        params.push(parser.next());
+    }
+    parser.expect('=');
+
+    const declaration = isAlias
+        ? { kind: 'alias', name, params, type: parser.parseType() }
+        : { kind: 'custom', name, params, variants: parser.parseVariants() };
+
+    if (!parser.atEnd()) {
+        throw new Error(`Unexpected "${parser.peek()}" after type ${name}`);
+    }
+    return declaration;
+};
+
+/**
+ * Parse every `type` and `type alias` declaration of an Elm module.
+ * Returns a Map of type name to declaration in source order.
+ */
+const parseElmTypes = (source) => {
+    const declarations = new Map();
+    for (const text of splitDeclarations(stripComments(source))) {
+        if (!/^type\s/.test(text)) continue;
+        try {
+            const declaration = parseTypeDeclaration(text);
+            declarations.set(declaration.name, declaration);
+        } catch (e) {
+            const header = text.split('\n')[0].trim();
+            throw new Error(`Could not parse "${header}": ${e.message}`);
+        }
+    }
+    return declarations;
+};
+
+/**
+ * Lamdera numbers constructors by sorting their names alphabetically.
+ * Returns the variants with their wire index, in index order.
+ */
+const indexVariants = (variants) =>
+    [...variants]
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+        .map((variant, index) => ({ ...variant, index }));
+
+// ============================================================================
+// TypeScript Generation
+// ============================================================================
+
+const typeParamName = (param) => param.charAt(0).toUpperCase() + param.slice(1);
+
+/**
+ * Collect the declarations reachable from `roots`, in source order.
+ */
+const collectReachable = (declarations, roots) => {
+    const reachable = new Set();
+
+    const visitType = (type) => {
+        switch (type.kind) {
+            case 'named':
+                if (declarations.has(type.name)) visitDeclaration(type.name);
+                type.args.forEach(visitType);
+                break;
+            case 'tuple':
+                type.items.forEach(visitType);
+                break;
+            case 'record':
+                type.fields.forEach(field => visitType(field.type));
+                break;
+            case 'function':
+                visitType(type.from);
+                visitType(type.to);
+                break;
+        }
+    };
+
+    const visitDeclaration = (name) => {
+        if (reachable.has(name)) return;
+        reachable.add(name);
+        const declaration = declarations.get(name);
+        if (declaration.kind === 'alias') {
+            visitType(declaration.type);
+        } else {
+            declaration.variants.forEach(variant => variant.args.forEach(visitType));
+        }
+    };
+
+    for (const root of roots) {
+        if (!declarations.has(root)) {
+            throw new Error(`Type ${root} is not declared in this module`);
+        }
+        visitDeclaration(root);
+    }
+
+    return [...declarations.values()].filter(declaration => reachable.has(declaration.name));
+};
+
+const createEmitter = (declarations, warnings) => {
+    const unsupportedNames = new Set();
+
+    const unsupported = (description) => {
+        if (!unsupportedNames.has(description)) {
+            unsupportedNames.add(description);
+            warnings.push(`No Wire3 codec for ${description}; values of this type cannot be sent or received`);
+        }
+        return { codec: `unsupported(${JSON.stringify(description)})`, ts: 'unknown' };
+    };
+
+    // Returns { codec, ts } source snippets for a type expression
+    const emitType = (type, scope) => {
+        switch (type.kind) {
+            case 'unit':
+                return { codec: 'W.unit', ts: 'null' };
+
+            case 'var':
+                if (!scope.includes(type.name)) {
+                    return unsupported(`free type variable ${type.name}`);
+                }
+                return { codec: type.name, ts: typeParamName(type.name) };
+
+            case 'tuple': {
+                const items = type.items.map(item => emitType(item, scope));
+                return {
+                    codec: `W.tuple(${items.map(i => i.codec).join(', ')})`,
+                    ts: `[${items.map(i => i.ts).join(', ')}]`
+                };
+            }
+
+            case 'record': {
+                if (type.extensible) {
+                    return unsupported(`extensible record { ${type.extensible} | ... }`);
+                }
+                const fields = type.fields.map(field => ({ name: field.name, ...emitType(field.type, scope) }));
+                return {
+                    codec: `W.record({ ${fields.map(f => `${f.name}: ${f.codec}`).join(', ')} })`,
+                    ts: `{ ${fields.map(f => `${f.name}: ${f.ts}`).join('; ')} }`
+                };
+            }
+
+            case 'function':
+                return unsupported('function types');
+
+            case 'named': {
+                const args = type.args.map(arg => emitType(arg, scope));
+                const declaration = declarations.get(type.name);
+
+                if (declaration) {
+                    if (declaration.params.length !== args.length) {
+                        throw new Error(`${type.name} expects ${declaration.params.length} type arguments, got ${args.length}`);
+                    }
+                    if (args.length === 0) {
+                        return { codec: `W.lazy(() => ${type.name})`, ts: type.name };
+                    }
+                    return {
+                        codec: `W.lazy(() => ${type.name}(${args.map(a => a.codec).join(', ')}))`,
+                        ts: `${type.name}<${args.map(a => a.ts).join(', ')}>`
+                    };
+                }
+
+                const builtin = BUILTIN_TYPES[type.name];
+                if (builtin && builtin.arity === args.length) {
+                    return {
+                        codec: builtin.codec(args.map(a => a.codec)),
+                        ts: builtin.ts(args.map(a => a.ts))
+                    };
+                }
+
+                return unsupported(type.name);
+            }
+        }
+        throw new Error(`Unknown type node: ${type.kind}`);
+    };
+
+    return { emitType, usesUnsupported: () => unsupportedNames.size > 0 };
+};
+
+const genericSignature = (declaration) => {
+    if (declaration.params.length === 0) return { typeParams: '', codecParams: '' };
+    const names = declaration.params.map(typeParamName);
+    return {
+        typeParams: `<${names.join(', ')}>`,
+        codecParams: declaration.params.map((p, i) => `${p}: Codec<${names[i]}>`).join(', ')
+    };
+};
+
+const emitAlias = (declaration, emitType) => {
+    const { typeParams, codecParams } = genericSignature(declaration);
+    const { codec, ts } = emitType(declaration.type, declaration.params);
+    const lines = [`export type ${declaration.name}${typeParams} = ${ts};`];
+
+    if (typeParams) {
+        lines.push(`export const ${declaration.name} = ${typeParams}(${codecParams}): Codec<${declaration.name}${typeParams}> =>\n    ${codec};`);
+    } else {
+        lines.push(`export const ${declaration.name}: Codec<${declaration.name}> = ${codec};`);
+    }
+    return lines.join('\n');
+};
+
+const emitCustom = (declaration, emitType) => {
+    const { typeParams, codecParams } = genericSignature(declaration);
+    const variants = indexVariants(declaration.variants).map(variant => ({
+        ...variant,
+        emitted: variant.args.map(arg => emitType(arg, declaration.params))
+    }));
+
+    const union = variants
+        .map(v => `\n    | { tag: '${v.name}'; args: [${v.emitted.map(e => e.ts).join(', ')}] }`)
+        .join('');
+
+    const variantCodecs = variants
+        .map(v => {
+            const args = v.emitted.map(e => `, ${e.codec}`).join('');
+            return `    /* ${v.index} */ W.variant('${v.name}'${args})`;
+        })
+        .join(',\n');
+
+    const lines = [`export type ${declaration.name}${typeParams} =${union};`];
+
+    if (typeParams) {
+        lines.push(`export const ${declaration.name} = ${typeParams}(${codecParams}): TaggedCodec<${declaration.name}${typeParams}> => W.custom([\n${variantCodecs}\n]);`);
+    } else {
+        lines.push(`export const ${declaration.name}: TaggedCodec<${declaration.name}> = W.custom([\n${variantCodecs}\n]);`);
+        lines.push(`export const ${declaration.name}Tag = {\n${variants.map(v => `    ${v.name}: ${v.index}`).join(',\n')}\n} as const;`);
+    }
+    return lines.join('\n');
+};
+
+const argList = (emitted) => emitted.map((e, i) => `arg${i}: ${e.ts}`).join(', ');
+
+const emitSenders = (declaration, emitType) => {
+    const variants = indexVariants(declaration.variants)
+        .map(v => ({ ...v, emitted: v.args.map(arg => emitType(arg, [])) }));
+    const name = declaration.name;
+
+    return [
+        `/** One method per ${name} constructor; each builds the message and hands it to \`send\`. */\nexport interface ${name}Senders {\n${variants.map(v => `    ${v.name}(${argList(v.emitted)}): void;`).join('\n')}\n}`,
+        `export const ${name.charAt(0).toLowerCase() + name.slice(1)}Senders = (send: (message: ${name}) => void): ${name}Senders => ({\n${variants
+            .map(v => {
+                const params = v.emitted.map((_, i) => `arg${i}`).join(', ');
+                return `    ${v.name}: (${params}) => send({ tag: '${v.name}', args: [${params}] })`;
+            })
+            .join(',\n')}\n});`
+    ].join('\n\n');
+};
+
+const emitHandlers = (declaration, emitType) => {
+    const variants = indexVariants(declaration.variants)
+        .map(v => ({ ...v, emitted: v.args.map(arg => emitType(arg, [])) }));
+    const name = declaration.name;
+
+    return [
+        `/** Optional callback per ${name} constructor. */\nexport interface ${name}Handlers {\n${variants.map(v => `    ${v.name}?(${argList(v.emitted)}): void;`).join('\n')}\n}`,
+        `export const on${name} = (handlers: ${name}Handlers) => (message: ${name}): void => {\n` +
+        `    const handler = handlers[message.tag] as ((...args: unknown[]) => void) | undefined;\n` +
+        `    if (handler) handler(...message.args);\n` +
+        `};`
+    ].join('\n\n');
+};
+
+/**
+ * Generate a TypeScript module of codecs for the types in an Elm module.
+ *
+ * @param {string} source - Contents of Types.elm
+ * @param {Object} [options]
+ * @param {string[]} [options.roots=['ToBackend', 'ToFrontend']] - Types to generate, with everything they reference
+ * @param {string} [options.importFrom='lamdera-websocket'] - Module specifier for the runtime import
+ * @param {string} [options.sourceName='Types.elm'] - File name mentioned in the header comment
+ * @returns {{ code: string, warnings: string[] }}
+ */
+const generateTypeScript = (source, options = {}) => {
+    const declarations = parseElmTypes(source);
+    const roots = options.roots || DEFAULT_ROOTS.filter(root => declarations.has(root));
+    const importFrom = options.importFrom || DEFAULT_IMPORT;
+    const sourceName = options.sourceName || 'Types.elm';
+
+    if (roots.length === 0) {
+        throw new Error(`None of ${DEFAULT_ROOTS.join(', ')} is declared; pass roots explicitly`);
+    }
+
+    const warnings = [];
+    const { emitType, usesUnsupported } = createEmitter(declarations, warnings);
+    const sections = [];
+
+    for (const declaration of collectReachable(declarations, roots)) {
+        sections.push(declaration.kind === 'alias'
+            ? emitAlias(declaration, emitType)
+            : emitCustom(declaration, emitType));
+    }
+
+    const toBackend = declarations.get('ToBackend');
+    if (roots.includes('ToBackend') && toBackend.kind === 'custom' && toBackend.params.length === 0) {
+        sections.push(emitSenders(toBackend, emitType));
+    }
+
+    const toFrontend = declarations.get('ToFrontend');
+    if (roots.includes('ToFrontend') && toFrontend.kind === 'custom' && toFrontend.params.length === 0) {
+        sections.push(emitHandlers(toFrontend, emitType));
+    }
+
+    const header = [
+        `// Generated by lamdera-websocket-codegen from ${sourceName}. Do not edit by hand.`,
+        `import { W } from '${importFrom}';`,
+        `import type { Codec, Result, TaggedCodec } from '${importFrom}';`
+    ];
+
+    if (usesUnsupported()) {
+        header.push(
+            '',
+            'const unsupported = (name: string): Codec<unknown> => W.codec(',
+            '    () => { throw new Error(`No Wire3 codec for ${name}`); },',
+            '    () => { throw new Error(`No Wire3 codec for ${name}`); }',
+            ');'
+        );
+    }
+
+    return {
+        code: `${header.join('\n')}\n\n${sections.join('\n\n')}\n`,
+        warnings
+    };
+};
+
+module.exports = {
+    stripComments,
+    parseElmTypes,
+    indexVariants,
+    generateTypeScript
+};
@@ -2,29 +2,182 @@ interface LamderaWebSocketOptions {
   debug?: boolean;
   debugMaxChars?: number;
   duVariant?: number;
+  toFrontend?: VariantRegistrySource;
+  leaderPolicy?: LeaderPolicy;
   maxRetries?: number;
+  queueMaxSize?: number;
+  queueTtl?: number;
+  queueOverflow?: QueueOverflowPolicy;
+  /** Where queued messages are kept so they survive a restart (in-memory by default). */
+  outboxStorage?: OutboxStorage;
+  /** Reconnect after unexpected closes (default true); a function decides per close event. */
+  reconnect?: boolean | ((event: CloseEvent) => boolean);
+  maxReconnectAttempts?: number;
   retryBaseDelay?: number;
   retryMaxDelay?: number;
   initialDelayMax?: number;
+  /** Ping the server every N ms once connected (default 0, no heartbeat). */
+  heartbeatInterval?: number;
+  /** Close and reconnect when a ping gets no pong within N ms (default 10000). */
+  heartbeatTimeout?: number;
+  /** Ping with this string over `duVariant` instead of a WebSocket ping frame; required in browsers. */
+  heartbeatPing?: string;
+  /** The backend's reply to `heartbeatPing` (default: the ping echoed back). */
+  heartbeatPong?: string;
+  /** Messages each stream or `for await` loop buffers before the socket is paused (Node `ws` only; default 16). */
+  readableHighWaterMark?: number;
+  /** bufferedAmount in bytes above which `writable` writes wait (default 65536). */
+  writableHighWaterMark?: number;
+  /** Start unref'd: the client's socket and timers do not keep a Node process alive. */
+  unref?: boolean;
+  /** Extra handshake headers (Node `ws` only); a Cookie header is sent along with the session cookie. */
+  headers?: Record<string, string>;
+  /** Merged into the `ws` constructor options (agent, ca, handshakeTimeout, perMessageDeflate, ...). */
+  wsOptions?: Record<string, any>;
+  /** HTTP CONNECT proxy URL (Node only); by default HTTPS_PROXY, HTTP_PROXY or ALL_PROXY from the environment, false for none. */
+  proxy?: string | false;
+  /** Hosts that bypass the proxy (default: NO_PROXY). */
+  noProxy?: string | string[];
+  /** WebSocket class to use instead of window.WebSocket or the `ws` package. */
+  webSocketImpl?: new (url: string, protocols?: string | string[], options?: any) => any;
   sessionId?: string;
   cookie?: string;
+  /** Use the page's `sid` from document.cookie, writing a new one if it has none, to share its Lamdera session. */
+  useBrowserSession?: boolean;
+  /** Where the session cookie is kept between runs; its session is used unless `sessionId` or `cookie` is given. */
+  sessionStore?: SessionStore;
+  /** Start a new session on each leader-avoidance retry (default false: the session is kept). */
+  rotateSessionOnLeaderRetry?: boolean;
 }
 
-interface SetupEvent {
+interface ConnectOptions extends LamderaWebSocketOptions {
+  /** Reject (and close the socket) after N ms; 0 waits as long as retries go on (default 30000). */
+  timeout?: number;
+  /** How long to wait after the handshake for an election before resolving (default 500). */
+  leaderSettleTime?: number;
+}
+
+type QueueOverflowPolicy = 'drop-oldest' | 'drop-newest' | 'error';
+
+/** A queued message as stored: `text` for strings, base64 `bytes` for binary payloads. */
+interface OutboxRecord {
+  id: string;
+  duVariant: number;
+  expiresAt: number | null;
+  text?: string;
+  bytes?: string;
+}
+
+interface OutboxStorage {
+  /** Pending records, oldest first. */
+  load(): Promise<OutboxRecord[]>;
+  add(record: OutboxRecord): Promise<unknown>;
+  remove(id: string): Promise<unknown>;
+}
+
+interface SessionStore {
+  /** The Cookie header saved last, or null. */
+  load(): Promise<string | null>;
+  save(cookie: string): Promise<unknown>;
+}
+
+interface IndexedDbOutboxStorageOptions {
+  databaseName?: string;
+  storeName?: string;
+}
+
+interface SendOptions {
+  /** Time-to-live in ms while queued; overrides `queueTtl`. */
+  ttl?: number;
+}
+
+interface CloseOptions {
+  /** Also remove queued messages from `outboxStorage` instead of leaving them for the next socket. */
+  discardOutbox?: boolean;
+}
+
+type LeaderAction = 'disconnect' | 'accept' | 'continue';
+
+interface LeaderStatus {
+  clientId: string;
+  previousLeader: string | null;
+  newLeader: string;
+  iAmLeader: boolean;
+  retryCount: number;
+}
+
+type LeaderPolicy = 'avoid' | 'accept' | 'observe' | ((status: LeaderStatus) => LeaderAction);
+
+interface LeaderChangeEvent extends Event {
+  type: 'leaderchange';
+  leaderId: string;
+  previousLeaderId: string | null;
+  isLeader: boolean;
+  action: LeaderAction;
+  target: LamderaWebSocket;
+}
+
+interface ReconnectingEvent extends Event {
+  type: 'reconnecting';
+  attempt: number;
+  delay: number;
+  code: number;
+  reason: string;
+  target: LamderaWebSocket;
+}
+
+interface ReconnectedEvent extends Event {
+  type: 'reconnected';
+  attempts: number;
+  clientId: string;
+  sessionId: string;
+  target: LamderaWebSocket;
+}
+
+interface LatencyEvent extends Event {
+  type: 'latency';
+  /** Heartbeat round trip in ms. */
+  latency: number;
+  target: LamderaWebSocket;
+}
+
+interface UndecodableEvent extends Event {
+  type: 'undecodable';
+  /** The ToFrontend variant tag (first payload byte). */
+  tag: number;
+  raw: Uint8Array;
+  error: string;
+  target: LamderaWebSocket;
+}
+
+type ConnectionStatus = 'connecting' | 'handshaking' | 'open' | 'closing' | 'closed';
+
+interface ReadyInfo {
+  clientId: string;
+  leaderId: string | null;
+}
+
+interface SetupEvent extends Event {
+  type: 'setup';
+  target: LamderaWebSocket;
   clientId: string;
   leaderId: string | null;
   isLeader: boolean;
 }
 
-interface LeaderDisconnectEvent {
+interface LeaderDisconnectEvent extends Event {
   type: 'leaderdisconnect';
   retryCount: number;
   target: LamderaWebSocket;
 }
 
 interface TransportMessage {
-  type: 'message' | 'protocol' | 'election' | 'error';
-  data?: string | object;
+  type: 'message' | 'protocol' | 'election' | 'undecodable' | 'error';
+  data?: any;
+  variant?: string | number;
+  tag?: number;
+  value?: any;
+  raw?: Uint8Array;
   sessionId?: string;
   connectionId?: string;
   leaderId?: string;
@@ -32,9 +185,15 @@ interface TransportMessage {
   rawData?: any;
 }
 
-interface MessageEvent {
-  data: string;
-  type: string;
+interface MessageEvent extends Event {
+  /** A string, or the decoded value when `toFrontend` decoders are configured. */
+  data: any;
+  variant?: string | number;
+  /** The ToFrontend variant tag (first payload byte). */
+  tag: number;
+  /** The string payload of a frame on `duVariant`, whatever `toFrontend` decoded it to. */
+  text?: string;
+  type: 'message';
   target: LamderaWebSocket;
   origin: string;
   lastEventId: string;
@@ -42,24 +201,51 @@ interface MessageEvent {
   ports: never[];
 }
 
-interface CloseEvent {
+interface CloseEvent extends Event {
+  type: 'close';
+  target: LamderaWebSocket;
   code: number;
   reason: string;
   wasClean: boolean;
 }
 
-interface ErrorEvent {
-  type: string;
+interface ErrorEvent extends Event {
+  type: 'error';
   error?: Error;
+  message?: string;
   target: LamderaWebSocket;
 }
 
+// Declared here so the typings also work without the DOM lib
+type EventListenerLike = ((event: Event) => void) | { handleEvent(event: Event): void };
+
+interface ListenerOptions {
+  capture?: boolean;
+  once?: boolean;
+  passive?: boolean;
+  signal?: AbortSignal;
+}
+
+interface LamderaWebSocketEventMap {
+  open: Event;
+  message: MessageEvent;
+  close: CloseEvent;
+  error: ErrorEvent;
+  setup: SetupEvent;
+  leaderdisconnect: LeaderDisconnectEvent;
+  leaderchange: LeaderChangeEvent;
+  reconnecting: ReconnectingEvent;
+  reconnected: ReconnectedEvent;
+  latency: LatencyEvent;
+  undecodable: UndecodableEvent;
+}
+
 interface DecodeResult<T> {
   value: T;
   bytesRead: number;
 }
 
-declare class LamderaWebSocket {
+declare class LamderaWebSocket extends EventTarget {
   static readonly CONNECTING: 0;
   static readonly OPEN: 1;
   static readonly CLOSING: 2;
@@ -72,14 +258,33 @@ declare class LamderaWebSocket {
 
   url: string;
   protocols: string | string[];
+  /** CONNECTING until the Lamdera handshake completes, then OPEN. */
   readyState: number;
-  bufferedAmount: number;
+  /** Like readyState, but tells a socket still connecting from one awaiting the Lamdera handshake. */
+  readonly status: ConnectionStatus;
+  /** Bytes accepted by the socket but not yet sent. */
+  readonly bufferedAmount: number;
   extensions: string;
   protocol: string;
   sessionId: string;
+  /** Cookie header sent with each connection, including cookies the server set. */
+  cookie: string;
+  sessionStore: SessionStore | null;
+  rotateSessionOnLeaderRetry: boolean;
   connectionId: string | null;
   clientId: string | null;
   leaderId: string | null;
+  toFrontend: VariantRegistry | null;
+  leaderPolicy: LeaderPolicy;
+  reconnect: boolean | ((event: CloseEvent) => boolean);
+  maxReconnectAttempts: number;
+  /** Round trip of the last answered heartbeat in ms; null until one is answered. */
+  latency: number | null;
+  readonly isLeader: boolean;
+  /** Incoming message data from first access; closes when the connection closes for good. */
+  readonly readable: ReadableStream<any>;
+  /** Sends each chunk through `duVariant`; closing it closes the connection. */
+  readonly writable: WritableStream<string | Uint8Array>;
 
   onopen: ((event: Event) => void) | null;
   onmessage: ((event: MessageEvent) => void) | null;
@@ -87,50 +292,197 @@ declare class LamderaWebSocket {
   onerror: ((event: ErrorEvent) => void) | null;
   onsetup: ((event: SetupEvent) => void) | null;
   onleaderdisconnect: ((event: LeaderDisconnectEvent) => void) | null;
+  onleaderchange: ((event: LeaderChangeEvent) => void) | null;
+  onreconnecting: ((event: ReconnectingEvent) => void) | null;
+  onreconnected: ((event: ReconnectedEvent) => void) | null;
+  onlatency: ((event: LatencyEvent) => void) | null;
+  onundecodable: ((event: UndecodableEvent) => void) | null;
 
   constructor(url: string, protocols?: string | string[], options?: LamderaWebSocketOptions);
 
-  send(data: string): void;
-  close(code?: number, reason?: string): void;
+  addEventListener<K extends keyof LamderaWebSocketEventMap>(type: K, listener: (event: LamderaWebSocketEventMap[K]) => void, options?: boolean | ListenerOptions): void;
+  addEventListener(type: string, listener: EventListenerLike | null, options?: boolean | ListenerOptions): void;
+  removeEventListener<K extends keyof LamderaWebSocketEventMap>(type: K, listener: (event: LamderaWebSocketEventMap[K]) => void, options?: boolean | ListenerOptions): void;
+  removeEventListener(type: string, listener: EventListenerLike | null, options?: boolean | ListenerOptions): void;
+
+  /** Resolves once written to the socket; rejects if dropped from the outbound queue. */
+  send(data: string, options?: SendOptions): Promise<void>;
+  sendVariant(tag: number, payload?: Uint8Array, options?: SendOptions): Promise<void>;
+  sendTyped<T>(codec: Codec<T>, value: T, options?: SendOptions): Promise<void>;
+  /** Queued messages stay in `outboxStorage` for the next socket unless `discardOutbox` is set. */
+  close(options: CloseOptions): void;
+  close(code?: number, reason?: string, options?: CloseOptions): void;
+  /** Resolves once the Lamdera handshake has completed; rejects if the connection closes for good first. */
+  ready(): Promise<ReadyInfo>;
+  /** Let the Node process exit while this client is all that keeps it running. */
+  unref(): this;
+  ref(): this;
+  [Symbol.asyncIterator](): AsyncIterableIterator<any>;
 }
 
 // Session management
+/** 40 lowercase hex characters from `crypto.getRandomValues`. */
 declare function generateSessionId(): string;
+/** Whether `sessionId` has Lamdera's format: 40 lowercase hex characters. */
+declare function validateSessionId(sessionId: unknown): sessionId is string;
 declare function createSessionCookie(sessionId?: string): string;
 declare function extractSessionFromCookie(cookieString: string): string | null;
 declare function getBrowserCookie(): string | null;
+/** The `sid` from document.cookie, or a new session ID written there. */
+declare function getBrowserSessionId(): string;
+/** Apply Set-Cookie header values to a Cookie header, dropping expired cookies. */
+declare function mergeSetCookie(cookieString: string, setCookieHeaders: string | string[]): string;
+declare function createMemorySessionStore(cookie?: string | null): SessionStore;
 
 // Wire3 zigzag encoding
 declare function signedToUnsigned(i: number): number;
 declare function unsignedToSigned(i: number): number;
 
 // Wire3 unsigned integer encoding/decoding
-declare function encodeUnsignedInt(n: number): Buffer;
-declare function decodeUnsignedInt(buffer: Buffer, offset?: number): DecodeResult<number>;
+declare function encodeUnsignedInt(n: number): Uint8Array;
+declare function decodeUnsignedInt(buffer: Uint8Array, offset?: number): DecodeResult<number>;
 
 // Wire3 signed integer encoding/decoding (with zigzag)
-declare function encodeInt64(signedValue: number): Buffer;
-declare function decodeInt64(buffer: Buffer, offset?: number): DecodeResult<number>;
+declare function encodeInt64(signedValue: number): Uint8Array;
+declare function decodeInt64(buffer: Uint8Array, offset?: number): DecodeResult<number>;
 
 // Legacy aliases
-declare function encodeVarint(signedValue: number): Buffer;
-declare function decodeVarint(buffer: Buffer, offset?: number): DecodeResult<number>;
+declare function encodeVarint(signedValue: number): Uint8Array;
+declare function decodeVarint(buffer: Uint8Array, offset?: number): DecodeResult<number>;
 
 // Wire3 string encoding/decoding
-declare function encodeString(str: string): Buffer;
-declare function decodeString(buffer: Buffer, offset?: number): DecodeResult<string>;
+declare function encodeString(str: string): Uint8Array;
+declare function decodeString(buffer: Uint8Array, offset?: number): DecodeResult<string>;
+
+// Wire3 core type encoding/decoding
+type Encoder<T> = (value: T) => Uint8Array;
+type Decoder<T> = (buffer: Uint8Array, offset?: number) => DecodeResult<T>;
+type Comparable = number | string | Comparable[];
+type Result<E, T> = { ok: true; value: T } | { ok: false; error: E };
+
+declare function compareComparable(a: Comparable, b: Comparable): number;
+declare function encodeBool(bool: boolean): Uint8Array;
+declare function decodeBool(buffer: Uint8Array, offset?: number): DecodeResult<boolean>;
+declare function encodeFloat(n: number): Uint8Array;
+declare function decodeFloat(buffer: Uint8Array, offset?: number): DecodeResult<number>;
+declare function encodeChar(char: string): Uint8Array;
+declare function decodeChar(buffer: Uint8Array, offset?: number): DecodeResult<string>;
+declare function encodeUnit(unit?: null): Uint8Array;
+declare function decodeUnit(buffer: Uint8Array, offset?: number): DecodeResult<null>;
+declare function encodeMaybe<T>(encodeValue: Encoder<T>): Encoder<T | null | undefined>;
+declare function decodeMaybe<T>(decodeValue: Decoder<T>): Decoder<T | null>;
+declare function encodeResult<E, T>(encodeError: Encoder<E>, encodeValue: Encoder<T>): Encoder<Result<E, T>>;
+declare function decodeResult<E, T>(decodeError: Decoder<E>, decodeValue: Decoder<T>): Decoder<Result<E, T>>;
+declare function encodeList<T>(encodeItem: Encoder<T>): Encoder<Iterable<T>>;
+declare function decodeList<T>(decodeItem: Decoder<T>): Decoder<T[]>;
+declare function encodeArray<T>(encodeItem: Encoder<T>): Encoder<Iterable<T>>;
+declare function decodeArray<T>(decodeItem: Decoder<T>): Decoder<T[]>;
+declare function encodeTuple<T extends unknown[]>(...encoders: { [K in keyof T]: Encoder<T[K]> }): Encoder<T>;
+declare function decodeTuple<T extends unknown[]>(...decoders: { [K in keyof T]: Decoder<T[K]> }): Decoder<T>;
+declare function encodeDict<K extends Comparable, V>(encodeKey: Encoder<K>, encodeValue: Encoder<V>): Encoder<Map<K, V> | Array<[K, V]> | Record<string, V>>;
+declare function decodeDict<K extends Comparable, V>(decodeKey: Decoder<K>, decodeValue: Decoder<V>): Decoder<Map<K, V>>;
+declare function encodeSet<T extends Comparable>(encodeItem: Encoder<T>): Encoder<Set<T> | T[]>;
+declare function decodeSet<T extends Comparable>(decodeItem: Decoder<T>): Decoder<Set<T>>;
+declare function encodeRecord<T extends object>(fieldEncoders: { [K in keyof T]: Encoder<T[K]> }): Encoder<T>;
+declare function decodeRecord<T extends object>(fieldDecoders: { [K in keyof T]: Decoder<T[K]> }): Decoder<T>;
 
 // Message encoding (DU variant + payload)
-declare function encodeMessage(message: string, duVariant?: number): Buffer;
-declare function decodeMessage(buffer: Buffer, expectedDuVariant?: number, debugLog?: (...args: any[]) => void): string | null;
+declare function encodeMessage(message: string | Uint8Array, duVariant?: number): Uint8Array;
+declare function decodeMessage(buffer: Uint8Array, expectedDuVariant?: number, debugLog?: (...args: any[]) => void): string | null;
+
+// Codec combinators
+interface Codec<T> {
+  encode(value: T): Uint8Array;
+  decode(buffer: Uint8Array, offset?: number): DecodeResult<T>;
+}
+
+type Infer<C> = C extends Codec<infer T> ? T : never;
+
+interface Variant<N extends string = string, A extends unknown[] = unknown[]> {
+  name: N;
+  args: { [K in keyof A]: Codec<A[K]> };
+}
+
+type VariantValue<V> = V extends Variant<infer N, infer A> ? { tag: N; args: A } : never;
+
+interface VariantInfo {
+  name: string;
+  index: number;
+  args: Codec<any>[];
+}
+
+interface CustomCodec<V extends Variant<string, any[]>> extends Codec<VariantValue<V>> {
+  variants: VariantInfo[];
+  tagOf(name: V['name']): number;
+}
+
+/** A custom-type codec described by its TypeScript union rather than its variants. */
+type TaggedCodec<T extends { tag: string }> = Codec<T> & {
+  variants: VariantInfo[];
+  tagOf(name: T['tag']): number;
+};
+
+declare namespace W {
+  function codec<T>(encode: Encoder<T>, decode: (buffer: Uint8Array, offset: number) => DecodeResult<T>): Codec<T>;
+  const int: Codec<number>;
+  const float: Codec<number>;
+  const string: Codec<string>;
+  const bool: Codec<boolean>;
+  const char: Codec<string>;
+  const unit: Codec<null>;
+  function maybe<T>(inner: Codec<T>): Codec<T | null>;
+  function result<E, T>(error: Codec<E>, value: Codec<T>): Codec<Result<E, T>>;
+  function list<T>(item: Codec<T>): Codec<T[]>;
+  function array<T>(item: Codec<T>): Codec<T[]>;
+  function tuple<T extends unknown[]>(...components: { [K in keyof T]: Codec<T[K]> }): Codec<T>;
+  function dict<K extends Comparable, V>(key: Codec<K>, value: Codec<V>): Codec<Map<K, V>>;
+  function set<T extends Comparable>(item: Codec<T>): Codec<Set<T>>;
+  function record<F extends { [field: string]: Codec<any> }>(fields: F): Codec<{ [K in keyof F]: Infer<F[K]> }>;
+  function map<A, B>(inner: Codec<A>, fromWire: (value: A) => B, toWire: (value: B) => A): Codec<B>;
+  function lazy<T>(thunk: () => Codec<T>): Codec<T>;
+  function variant<N extends string, A extends unknown[]>(name: N, ...args: { [K in keyof A]: Codec<A[K]> }): Variant<N, A>;
+  function custom<V extends Variant<string, any[]>[]>(variants: [...V]): CustomCodec<V[number]>;
+}
+
+// ToFrontend variant registry
+type VariantRegistrySource =
+  | VariantRegistry
+  | CustomCodec<any>
+  | TaggedCodec<any>
+  | Map<number, Codec<any> | { name: string; codec: Codec<any> }>
+  | { [tag: number]: Codec<any> | { name: string; codec: Codec<any> } };
+
+declare class VariantRegistry {
+  constructor(source?: VariantRegistrySource);
+  register(tag: number, codec: Codec<any>, name?: string | number): this;
+  has(tag: number): boolean;
+  decode(bytes: Uint8Array): { variant: string | number; tag: number; value: any };
+}
+
+declare function createVariantRegistry(source: VariantRegistrySource): VariantRegistry;
 
 // Transport layer
-declare function createTransportMessage(sessionId: string, connectionId: string | null, message: string, duVariant?: number): string;
-declare function parseTransportMessage(data: string | Buffer, expectedDuVariant?: number, debugLog?: (...args: any[]) => void): TransportMessage;
+declare function createTransportMessage(sessionId: string, connectionId: string | null, message: string | Uint8Array, duVariant?: number, frameType?: 'ToBackend' | 'ToFrontend'): string;
+declare function parseTransportMessage(data: string | Uint8Array | ArrayBuffer, decoders?: number | VariantRegistrySource, debugLog?: (...args: any[]) => void): TransportMessage;
 
 // Utilities
-declare function bufferToHex(buffer: Buffer): string;
+declare function bufferToHex(buffer: Uint8Array): string;
+declare function concatBytes(chunks: Uint8Array[]): Uint8Array;
+declare function bytesToBase64(bytes: Uint8Array): string;
+declare function base64ToBytes(base64: string): Uint8Array;
+/** Resolves without waiting for the connection; see connectLamdera. */
 declare function createLamderaWebSocket(url: string, sessionId?: string): Promise<LamderaWebSocket>;
+/** Resolves once the handshake has completed and leader avoidance has settled. */
+declare function connectLamdera(url: string, options?: ConnectOptions): Promise<LamderaWebSocket>;
+
+// Outbox storage
+declare function createMemoryOutboxStorage(): OutboxStorage;
+declare function createIndexedDbOutboxStorage(options?: IndexedDbOutboxStorageOptions): OutboxStorage;
+
+// Close reasons the client sets itself
+declare const CLOSE_REASON_CLIENT: 'Closed by the client';
+declare const CLOSE_REASON_LEADER_AVOIDANCE: 'Gave up avoiding the leader role';
+declare const CLOSE_REASON_MAX_RECONNECTS: 'Gave up reconnecting';
 
 // Wire3 constants
 declare const WIRE3_ONE_BYTE_MAX: 215;
@@ -145,12 +497,17 @@ export {
   // WebSocket client
   LamderaWebSocket,
   createLamderaWebSocket,
+  connectLamdera,
 
   // Session management
   generateSessionId,
+  validateSessionId,
   createSessionCookie,
   extractSessionFromCookie,
   getBrowserCookie,
+  getBrowserSessionId,
+  mergeSetCookie,
+  createMemorySessionStore,
 
   // Wire3 integer encoding/decoding
   signedToUnsigned,
@@ -168,16 +525,60 @@ export {
   encodeString,
   decodeString,
 
+  // Wire3 core type encoding/decoding
+  compareComparable,
+  encodeBool,
+  decodeBool,
+  encodeFloat,
+  decodeFloat,
+  encodeChar,
+  decodeChar,
+  encodeUnit,
+  decodeUnit,
+  encodeMaybe,
+  decodeMaybe,
+  encodeResult,
+  decodeResult,
+  encodeList,
+  decodeList,
+  encodeArray,
+  decodeArray,
+  encodeTuple,
+  decodeTuple,
+  encodeDict,
+  decodeDict,
+  encodeSet,
+  decodeSet,
+  encodeRecord,
+  decodeRecord,
+
   // Message encoding (DU variant + payload)
   encodeMessage,
   decodeMessage,
 
+  // Codec combinators
+  W,
+
   // Transport layer
+  VariantRegistry,
+  createVariantRegistry,
   createTransportMessage,
   parseTransportMessage,
 
   // Utilities
   bufferToHex,
+  concatBytes,
+  bytesToBase64,
+  base64ToBytes,
+
+  // Outbox storage
+  createMemoryOutboxStorage,
+  createIndexedDbOutboxStorage,
+
+  // Close reasons
+  CLOSE_REASON_CLIENT,
+  CLOSE_REASON_LEADER_AVOIDANCE,
+  CLOSE_REASON_MAX_RECONNECTS,
 
   // Constants
   WIRE3_ONE_BYTE_MAX,
@@ -190,11 +591,42 @@ export {
 
   // Types
   LamderaWebSocketOptions,
+  ConnectOptions,
+  LamderaWebSocketEventMap,
+  ConnectionStatus,
+  ReadyInfo,
   SetupEvent,
   LeaderDisconnectEvent,
+  QueueOverflowPolicy,
+  SendOptions,
+  CloseOptions,
+  OutboxRecord,
+  OutboxStorage,
+  SessionStore,
+  IndexedDbOutboxStorageOptions,
+  LeaderAction,
+  LeaderStatus,
+  LeaderPolicy,
+  LeaderChangeEvent,
+  ReconnectingEvent,
+  ReconnectedEvent,
+  LatencyEvent,
+  UndecodableEvent,
   TransportMessage,
   MessageEvent,
   CloseEvent,
   ErrorEvent,
-  DecodeResult
+  DecodeResult,
+  Encoder,
+  Decoder,
+  Comparable,
+  Result,
+  Codec,
+  Infer,
+  Variant,
+  VariantValue,
+  VariantInfo,
+  CustomCodec,
+  TaggedCodec,
+  VariantRegistrySource
 };
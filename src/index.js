@@ -1,19 +1,66 @@
+const {
+    DEFAULT_DU_VARIANT,
+    concatBytes,
+    bytesToBase64,
+    base64ToBytes,
+    utf8Decode,
+    signedToUnsigned,
+    unsignedToSigned,
+    encodeUnsignedInt,
+    decodeUnsignedInt,
+    encodeInt64,
+    decodeInt64,
+    encodeVarint,
+    decodeVarint,
+    encodeString,
+    decodeString,
+    compareComparable,
+    encodeBool,
+    decodeBool,
+    encodeFloat,
+    decodeFloat,
+    encodeChar,
+    decodeChar,
+    encodeUnit,
+    decodeUnit,
+    encodeMaybe,
+    decodeMaybe,
+    encodeResult,
+    decodeResult,
+    encodeList,
+    decodeList,
+    encodeArray,
+    decodeArray,
+    encodeTuple,
+    decodeTuple,
+    encodeDict,
+    decodeDict,
+    encodeSet,
+    decodeSet,
+    encodeRecord,
+    decodeRecord,
+    encodeMessage,
+    decodeMessage,
+    WIRE3_ONE_BYTE_MAX,
+    WIRE3_TWO_BYTE_MAX,
+    WIRE3_TWO_BYTE_OFFSET,
+    WIRE3_MARKER_2_BYTES,
+    WIRE3_MARKER_3_BYTES,
+    WIRE3_MARKER_4_BYTES,
+    WIRE3_MARKER_FLOAT64
+} = require('./wire3.js');
+const { W } = require('./codec.js');
+const {
+    OutboundQueue,
+    createMemoryOutboxStorage,
+    createIndexedDbOutboxStorage
+} = require('./outbox.js');
+
 // Constants
-const DEFAULT_DU_VARIANT = 0x00;
-const SESSION_ID_MIN = 10000;
-const SESSION_ID_RANGE = 990000;
-const SESSION_ID_PADDING_LENGTH = 40;
-const SESSION_ID_PADDING_CHARS = 'c04b8f7b594cdeedebc2a8029b82943b0a620815';
-const MIN_BUFFER_LENGTH = 2;
-
-// Wire3 encoding boundaries
-const WIRE3_ONE_BYTE_MAX = 215;
-const WIRE3_TWO_BYTE_MAX = 9431;
-const WIRE3_TWO_BYTE_OFFSET = 216;
-const WIRE3_MARKER_2_BYTES = 252;
-const WIRE3_MARKER_3_BYTES = 253;
-const WIRE3_MARKER_4_BYTES = 254;
-const WIRE3_MARKER_FLOAT64 = 255;
+// Lamdera session IDs are 40 lowercase hex characters (20 random bytes)
+const SESSION_ID_BYTES = 20;
+const SESSION_ID_PATTERN = /^[0-9a-f]{40}$/;
+const SESSION_COOKIE_NAME = 'sid';
 
 // Default connection options
 const DEFAULT_MAX_RETRIES = 10;
@@ -22,300 +69,256 @@ const DEFAULT_RETRY_MAX_DELAY = 15000;
 const DEFAULT_INITIAL_DELAY_MAX = 1000;
 const RETRY_EXPONENTIAL_BASE = 1.5;
 const RETRY_JITTER_RANGE = 1000;
-const READY_STATE_SYNC_INTERVAL = 100;
 
-const generateSessionId = () => {
-    const randomNum = Math.floor(Math.random() * SESSION_ID_RANGE) + SESSION_ID_MIN;
-    return randomNum.toString().padEnd(SESSION_ID_PADDING_LENGTH, SESSION_ID_PADDING_CHARS);
-};
+// Close codes worth reconnecting after: going away (server redeploy), no
+// status, abnormal closure (network drop), internal error, service restart,
+// try again later, bad gateway
+const RETRYABLE_CLOSE_CODES = [1001, 1005, 1006, 1011, 1012, 1013, 1014];
+const DEFAULT_MAX_RECONNECT_ATTEMPTS = 10;
 
-const createSessionCookie = (sessionId = generateSessionId()) => `sid=${sessionId}`;
+// Heartbeat: how long to wait for a pong before treating the connection as dead
+const DEFAULT_HEARTBEAT_TIMEOUT = 10000;
+const HEARTBEAT_CLOSE_CODE = 1006;
 
-const extractSessionFromCookie = (cookieString) => {
-    const match = cookieString.match(/sid=([^;]+)/);
-    return match ? match[1] : null;
-};
+// Streams: incoming messages buffered per reader before the socket is
+// paused, and outgoing bytes buffered by the socket before writes wait
+const DEFAULT_READABLE_HIGH_WATER_MARK = 16;
+const DEFAULT_WRITABLE_HIGH_WATER_MARK = 65536;
+const BUFFERED_AMOUNT_POLL_INTERVAL = 20;
 
-const getBrowserCookie = () => {
-    if (typeof document !== 'undefined' && document.cookie) {
-        return document.cookie;
-    }
-    return null;
-};
+// How long to wait before flushing again after a queued message failed to
+// write on an open socket
+const FLUSH_RETRY_DELAY = 250;
 
-// ============================================================================
-// Wire3 Integer Encoding/Decoding
-// ============================================================================
+// `status` names for readyState values; CONNECTING splits into connecting
+// (no socket yet) and handshaking (socket open, awaiting the Lamdera handshake)
+const STATUS_NAMES = ['connecting', 'open', 'closing', 'closed'];
 
-/**
- * Convert signed integer to unsigned using zigzag encoding.
- * Positive n -> 2n (even), Negative n -> -2n-1 (odd)
- * This ensures negative numbers don't require many bytes.
- */
-const signedToUnsigned = (i) => {
-    if (i < 0) {
-        return -2 * i - 1;
-    }
-    return 2 * i;
-};
+// Close events the client produces itself. Closes it decides on (close(),
+// giving up on leader avoidance) use 1000; giving up reconnecting keeps the
+// code of the last transport close.
+const CLOSE_CODE_NORMAL = 1000;
+const CLOSE_REASON_CLIENT = 'Closed by the client';
+const CLOSE_REASON_LEADER_AVOIDANCE = 'Gave up avoiding the leader role';
+const CLOSE_REASON_MAX_RECONNECTS = 'Gave up reconnecting';
+
+// connectLamdera: overall deadline, and how long to wait after the handshake
+// for an election before assuming none is coming
+const DEFAULT_CONNECT_TIMEOUT = 30000;
+const DEFAULT_LEADER_SETTLE_TIME = 500;
+
+// What to do when an election names this client as leader
+const LEADER_POLICIES = ['avoid', 'accept', 'observe'];
+const LEADER_ACTIONS = ['disconnect', 'accept', 'continue'];
 
 /**
- * Convert unsigned integer back to signed (reverse zigzag).
+ * The session ID is the user's Lamdera auth key, so it comes from a secure
+ * random source: `crypto.getRandomValues`, global in browsers, Node 20+,
+ * Deno and Workers.
  */
-const unsignedToSigned = (i) => {
-    if (i % 2 === 1) {
-        return -Math.floor((i + 1) / 2);
+const generateSessionId = () => {
+    if (typeof crypto === 'undefined' || typeof crypto.getRandomValues !== 'function') {
+        throw new Error('generateSessionId needs a global crypto.getRandomValues (browsers, Node 20+, Deno, Workers)');
     }
-    return Math.floor(i / 2);
-};
 
-/**
- * Encode an unsigned integer using Wire3 format.
- *
- * Wire3 varint format:
- *   0-215:      1 byte  - raw value
- *   216-9431:   2 bytes - [216 + (n-216)/256, (n-216) % 256]
- *   <65536:     3 bytes - [252, high, low] (big-endian)
- *   <16777216:  4 bytes - [253, b2, b1, b0] (big-endian)
- *   <4294967296:5 bytes - [254, b3, b2, b1, b0] (big-endian)
- *   else:       9 bytes - [255, ...float64 LE]
- */
-const encodeUnsignedInt = (n) => {
-    if (n < 0) {
-        throw new Error(`encodeUnsignedInt requires non-negative integer, got ${n}`);
-    }
-
-    if (n <= WIRE3_ONE_BYTE_MAX) {
-        // 0-215: single byte
-        return Buffer.from([n]);
-    }
-
-    if (n <= WIRE3_TWO_BYTE_MAX) {
-        // 216-9431: two bytes
-        const adjusted = n - WIRE3_TWO_BYTE_OFFSET;
-        const b0 = WIRE3_TWO_BYTE_OFFSET + Math.floor(adjusted / 256);
-        const b1 = adjusted % 256;
-        return Buffer.from([b0, b1]);
-    }
-
-    if (n < 256 * 256) {
-        // <65536: marker 252 + 2 bytes big-endian
-        return Buffer.from([
-            WIRE3_MARKER_2_BYTES,
-            (n >> 8) & 0xFF,
-            n & 0xFF
-        ]);
-    }
-
-    if (n < 256 * 256 * 256) {
-        // <16777216: marker 253 + 3 bytes big-endian
-        return Buffer.from([
-            WIRE3_MARKER_3_BYTES,
-            (n >> 16) & 0xFF,
-            (n >> 8) & 0xFF,
-            n & 0xFF
-        ]);
-    }
-
-    if (n < 256 * 256 * 256 * 256) {
-        // <4294967296: marker 254 + 4 bytes big-endian
-        return Buffer.from([
-            WIRE3_MARKER_4_BYTES,
-            (n >> 24) & 0xFF,
-            (n >> 16) & 0xFF,
-            (n >> 8) & 0xFF,
-            n & 0xFF
-        ]);
-    }
-
-    // Larger values: marker 255 + float64 little-endian
-    const buf = Buffer.alloc(9);
-    buf[0] = WIRE3_MARKER_FLOAT64;
-    buf.writeDoubleLE(n, 1);
-    return buf;
+    const bytes = crypto.getRandomValues(new Uint8Array(SESSION_ID_BYTES));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
 };
 
 /**
- * Decode an unsigned integer from Wire3 format.
- * Returns { value, bytesRead }.
+ * Whether `sessionId` has the format Lamdera uses: 40 lowercase hex characters.
  */
-const decodeUnsignedInt = (buffer, offset = 0) => {
-    if (offset >= buffer.length) {
-        throw new Error('Buffer too short for Wire3 int decode');
-    }
+const validateSessionId = (sessionId) =>
+    typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
 
-    const b0 = buffer[offset];
+const createSessionCookie = (sessionId = generateSessionId()) => `${SESSION_COOKIE_NAME}=${sessionId}`;
 
-    if (b0 <= WIRE3_ONE_BYTE_MAX) {
-        // 0-215: single byte
-        return { value: b0, bytesRead: 1 };
-    }
+const parseCookiePairs = (cookieString) =>
+    cookieString
+        .split(';')
+        .map(pair => pair.trim())
+        .filter(pair => pair.indexOf('=') > 0)
+        .map(pair => [pair.slice(0, pair.indexOf('=')).trim(), pair.slice(pair.indexOf('=') + 1).trim()]);
 
-    if (b0 < WIRE3_MARKER_2_BYTES) {
-        // 216-251: two byte encoding
-        if (offset + 1 >= buffer.length) {
-            throw new Error('Buffer too short for 2-byte Wire3 int');
-        }
-        const b1 = buffer[offset + 1];
-        const value = WIRE3_TWO_BYTE_OFFSET + (b0 - WIRE3_TWO_BYTE_OFFSET) * 256 + b1;
-        return { value, bytesRead: 2 };
-    }
+/**
+ * The value of the cookie named exactly `sid`; `xsid=...` and the like are
+ * other cookies.
+ */
+const extractSessionFromCookie = (cookieString) => {
+    const session = parseCookiePairs(cookieString || '').find(([name]) => name === SESSION_COOKIE_NAME);
+    return session && session[1] ? session[1] : null;
+};
 
-    if (b0 === WIRE3_MARKER_2_BYTES) {
-        // 252: 2 bytes following (big-endian)
-        if (offset + 2 >= buffer.length) {
-            throw new Error('Buffer too short for marker-252 Wire3 int');
-        }
-        const value = (buffer[offset + 1] << 8) | buffer[offset + 2];
-        return { value, bytesRead: 3 };
-    }
+const isExpiredSetCookie = (attributes) => attributes.some(attribute => {
+    const [key, value = ''] = parseCookiePairs(attribute)[0] || [];
+    if (!key) return false;
+    if (key.toLowerCase() === 'max-age') return Number(value) <= 0;
+    if (key.toLowerCase() === 'expires') return Date.parse(value) <= Date.now();
+    return false;
+});
 
-    if (b0 === WIRE3_MARKER_3_BYTES) {
-        // 253: 3 bytes following (big-endian)
-        if (offset + 3 >= buffer.length) {
-            throw new Error('Buffer too short for marker-253 Wire3 int');
-        }
-        const value = (buffer[offset + 1] << 16) | (buffer[offset + 2] << 8) | buffer[offset + 3];
-        return { value, bytesRead: 4 };
-    }
+/**
+ * Apply Set-Cookie headers to a Cookie header string. Only names and values
+ * are kept; a cookie that is expired (Max-Age <= 0 or Expires in the past)
+ * is removed.
+ */
+const mergeSetCookie = (cookieString, setCookieHeaders) => {
+    const jar = new Map(parseCookiePairs(cookieString || ''));
 
-    if (b0 === WIRE3_MARKER_4_BYTES) {
-        // 254: 4 bytes following (big-endian)
-        // Use multiplication to avoid signed 32-bit overflow issues
-        if (offset + 4 >= buffer.length) {
-            throw new Error('Buffer too short for marker-254 Wire3 int');
-        }
-        const value = buffer[offset + 1] * 0x1000000 +
-                      buffer[offset + 2] * 0x10000 +
-                      buffer[offset + 3] * 0x100 +
-                      buffer[offset + 4];
-        return { value, bytesRead: 5 };
-    }
+    for (const header of [].concat(setCookieHeaders || [])) {
+        const [pair, ...attributes] = header.split(';');
+        const [cookie] = parseCookiePairs(pair);
+        if (!cookie) continue;
 
-    if (b0 === WIRE3_MARKER_FLOAT64) {
-        // 255: float64 following (little-endian)
-        if (offset + 8 >= buffer.length) {
-            throw new Error('Buffer too short for marker-255 Wire3 float64');
+        if (isExpiredSetCookie(attributes)) {
+            jar.delete(cookie[0]);
+        } else {
+            jar.set(cookie[0], cookie[1]);
         }
-        const value = buffer.readDoubleLE(offset + 1);
-        return { value: Math.floor(value), bytesRead: 9 };
     }
 
-    throw new Error(`Invalid Wire3 int marker: ${b0}`);
+    return [...jar].map(([name, value]) => `${name}=${value}`).join('; ');
 };
 
 /**
- * Encode a signed integer using Wire3 format (zigzag + unsigned encoding).
- */
-const encodeInt64 = (signedValue) => {
-    const unsigned = signedToUnsigned(signedValue);
-    return encodeUnsignedInt(unsigned);
-};
-
-/**
- * Decode a signed integer from Wire3 format.
- * Returns { value, bytesRead }.
+ * Keep the session cookie in memory: shared by sockets created one after
+ * another in the same process. A session store is any object with
+ *
+ *   load()        -> Promise<string|null>  the Cookie header saved last, if any
+ *   save(cookie)  -> Promise               remember the current Cookie header
  */
-const decodeInt64 = (buffer, offset = 0) => {
-    const { value: unsigned, bytesRead } = decodeUnsignedInt(buffer, offset);
-    return { value: unsignedToSigned(unsigned), bytesRead };
-};
-
-// Legacy aliases for compatibility
-const encodeVarint = encodeInt64;
-const decodeVarint = decodeInt64;
+const createMemorySessionStore = (cookie = null) => ({
+    load: async () => cookie,
+    save: async (value) => { cookie = value; }
+});
 
-// ============================================================================
-// Wire3 String Encoding/Decoding
-// ============================================================================
-
-/**
- * Encode a string using Wire3 format: length (as signed int64) + UTF-8 bytes.
- */
-const encodeString = (str) => {
-    const strBuffer = Buffer.from(str, 'utf8');
-    const lengthBuffer = encodeInt64(strBuffer.length);
-    return Buffer.concat([lengthBuffer, strBuffer]);
+const getBrowserCookie = () => {
+    if (typeof document !== 'undefined' && document.cookie) {
+        return document.cookie;
+    }
+    return null;
 };
 
 /**
- * Decode a string from Wire3 format.
- * Returns { value, bytesRead }.
+ * The page's Lamdera session: the `sid` in document.cookie, or a new one
+ * written there so the page and this client share it from now on.
  */
-const decodeString = (buffer, offset = 0) => {
-    const { value: length, bytesRead: lengthBytes } = decodeInt64(buffer, offset);
-    const strStart = offset + lengthBytes;
-    const strEnd = strStart + length;
+const getBrowserSessionId = () => {
+    const existing = extractSessionFromCookie(getBrowserCookie() || '');
+    if (existing) return existing;
 
-    if (strEnd > buffer.length) {
-        throw new Error(`Buffer too short for string: need ${length} bytes, have ${buffer.length - strStart}`);
+    const sessionId = generateSessionId();
+    if (typeof document !== 'undefined') {
+        const secure = typeof location !== 'undefined' && location.protocol === 'https:' ? '; Secure' : '';
+        document.cookie = `${createSessionCookie(sessionId)}; path=/; SameSite=Lax${secure}`;
     }
-
-    const value = buffer.slice(strStart, strEnd).toString('utf8');
-    return { value, bytesRead: lengthBytes + length };
+    return sessionId;
 };
 
-// ============================================================================
-// Message Encoding (DU variant + string payload)
-// ============================================================================
-
 /**
- * Encode a message with DU variant tag + Wire3 string.
+ * Wrap a message in a transport frame. Clients send 'ToBackend' frames;
+ * pass 'ToFrontend' to build the frames a backend sends.
  */
-const encodeMessage = (message, duVariant = DEFAULT_DU_VARIANT) => {
-    const stringEncoded = encodeString(message);
-    return Buffer.concat([
-        Buffer.from([duVariant]),
-        stringEncoded
-    ]);
+const createTransportMessage = (sessionId, connectionId, message, duVariant = DEFAULT_DU_VARIANT, frameType = 'ToBackend') => {
+    const encoded = encodeMessage(message, duVariant);
+    return JSON.stringify({
+        t: frameType,
+        s: sessionId,
+        c: connectionId || sessionId,
+        b: bytesToBase64(encoded)
+    });
 };
 
 /**
- * Decode a message with DU variant tag + Wire3 string.
+ * Decoders for ToFrontend constructors, keyed by variant tag.
+ *
+ * Built from a W.custom codec (every variant, decoded to `{ tag, args }`) or
+ * from a Map/object of `tag -> codec` (or `tag -> { name, codec }`) where each
+ * codec decodes the arguments that follow the tag byte.
  */
-const decodeMessage = (buffer, expectedDuVariant = DEFAULT_DU_VARIANT, debugLog = () => {}) => {
-    debugLog('🔧 decodeMessage called:');
-    debugLog('   Buffer length:', buffer.length);
-    debugLog('   Buffer hex:', Array.from(buffer).map(b => b.toString(16).padStart(2, '0')).join(' '));
-    debugLog('   Expected DuVariant:', expectedDuVariant);
-
-    if (buffer.length < MIN_BUFFER_LENGTH) {
-        debugLog('   ❌ Buffer too short');
-        return null;
+class VariantRegistry {
+    constructor(source = {}) {
+        this._decoders = new Map();
+        
+        if (source.variants) {
+            for (const { name, index } of source.variants) {
+                this._decoders.set(index, { name, codec: source, offset: 0 });
+            }
+            return;
+        }
+        
+        const entries = source instanceof Map ? source : Object.entries(source);
+        for (const [tag, entry] of entries) {
+            this.register(Number(tag), entry.codec || entry, entry.name);
+        }
+    }
+    
+    register(tag, codec, name = tag) {
+        this._decoders.set(tag, { name, codec, offset: 1 });
+        return this;
+    }
+    
+    has(tag) {
+        return this._decoders.has(tag);
+    }
+    
+    /**
+     * Decode a complete DU message (tag byte + payload).
+     * Returns { variant, tag, value }; throws when the tag is unknown or the
+     * payload does not decode to exactly the bytes given.
+     */
+    decode(bytes) {
+        if (bytes.length < 1) {
+            throw new Error('Empty message has no variant tag');
+        }
+        
+        const tag = bytes[0];
+        const entry = this._decoders.get(tag);
+        if (!entry) {
+            throw new Error(`No decoder registered for variant ${tag}`);
+        }
+        
+        const { value, bytesRead } = entry.codec.decode(bytes, entry.offset);
+        if (entry.offset + bytesRead !== bytes.length) {
+            throw new Error(`Variant ${tag} decoded ${entry.offset + bytesRead} of ${bytes.length} bytes`);
+        }
+        return { variant: entry.name, tag, value };
     }
+}
 
-    const actualDuVariant = buffer.readUInt8(0);
-    debugLog('   Actual DuVariant:', actualDuVariant);
+const createVariantRegistry = (source) =>
+    source instanceof VariantRegistry ? source : new VariantRegistry(source);
 
-    if (actualDuVariant !== expectedDuVariant) {
-        debugLog('   ❌ DuVariant mismatch');
-        return null;
+const decodeStringVariant = (binaryData, expectedDuVariant, debugLog) => {
+    const message = decodeMessage(binaryData, expectedDuVariant, debugLog);
+    if (message === null) {
+        return { error: `Expected DU variant ${expectedDuVariant} carrying a String` };
     }
+    return { variant: expectedDuVariant, value: message };
+};
 
+const decodeRegisteredVariant = (binaryData, registry, debugLog) => {
     try {
-        const { value: message, bytesRead } = decodeString(buffer, 1);
-        debugLog('   ✅ Decoded message:', JSON.stringify(message));
-        debugLog('   Total bytes read:', 1 + bytesRead);
-        return message;
+        const { variant, value } = registry.decode(binaryData);
+        debugLog('   ✅ Decoded variant:', variant);
+        return { variant, value };
     } catch (e) {
         debugLog('   ❌ Decode error:', e.message);
-        return null;
+        return { error: e.message };
     }
 };
 
-const createTransportMessage = (sessionId, connectionId, message, duVariant = DEFAULT_DU_VARIANT) => {
-    const encoded = encodeMessage(message, duVariant);
-    return JSON.stringify({
-        t: 'ToBackend',
-        s: sessionId,
-        c: connectionId || sessionId,
-        b: encoded.toString('base64')
-    });
-};
-
-const parseTransportMessage = (data, expectedDuVariant = DEFAULT_DU_VARIANT, debugLog = () => {}) => {
+/**
+ * Parse a frame from the Lamdera transport.
+ *
+ * `decoders` is either the DU variant of the `A00_` String constructor
+ * (the default) or a VariantRegistry source decoding every ToFrontend
+ * constructor. Frames whose payload cannot be decoded come back as
+ * `{ type: 'undecodable', tag, raw }` with the payload bytes.
+ */
+const parseTransportMessage = (data, decoders = DEFAULT_DU_VARIANT, debugLog = () => {}) => {
     try {
-        const parsed = JSON.parse(data.toString('utf8'));
+        const parsed = JSON.parse(typeof data === 'string' ? data : utf8Decode(toBytes(data)));
         
         if (parsed.t === 'e') {
             return {
@@ -326,17 +329,32 @@ const parseTransportMessage = (data, expectedDuVariant = DEFAULT_DU_VARIANT, deb
         }
         
         if (parsed.b) {
-            const binaryData = Buffer.from(parsed.b, 'base64');
-            const message = decodeMessage(binaryData, expectedDuVariant, debugLog);
+            const binaryData = base64ToBytes(parsed.b);
+            const decoded = typeof decoders === 'number'
+                ? decodeStringVariant(binaryData, decoders, debugLog)
+                : decodeRegisteredVariant(binaryData, createVariantRegistry(decoders), debugLog);
             
-            if (message !== null) {
+            if (decoded.error === undefined) {
                 return {
                     type: 'message',
-                    data: message,
+                    variant: decoded.variant,
+                    tag: binaryData[0],
+                    value: decoded.value,
+                    data: decoded.value,
                     sessionId: parsed.s,
                     connectionId: parsed.c
                 };
             }
+            
+            return {
+                type: 'undecodable',
+                tag: binaryData[0],
+                raw: binaryData,
+                error: decoded.error,
+                data: parsed,
+                sessionId: parsed.s,
+                connectionId: parsed.c
+            };
         }
         
         return {
@@ -355,14 +373,51 @@ const parseTransportMessage = (data, expectedDuVariant = DEFAULT_DU_VARIANT, deb
     }
 };
 
+// The string carried by the `A00_` constructor, however it was decoded: as
+// is, through a tag -> codec registry, or as `{ tag, args: [string] }` from a
+// W.custom codec
+const variantText = (data) => {
+    const value = data !== null && typeof data === 'object' && Array.isArray(data.args) && data.args.length === 1
+        ? data.args[0]
+        : data;
+    return typeof value === 'string' ? value : undefined;
+};
+
+// Frames arrive as strings, Buffers (Node `ws`) or ArrayBuffers (browser binary frames)
+const toBytes = (data) => (data instanceof ArrayBuffer ? new Uint8Array(data) : data);
+
 const bufferToHex = (buffer) => 
     Array.from(buffer)
         .map(b => b.toString(16).padStart(2, '0'))
         .join(' ');
 
+// Events with an `on<type>` handler property, as on a browser WebSocket
+const HANDLER_EVENT_TYPES = [
+    'open', 'message', 'close', 'error', 'setup', 'leaderdisconnect',
+    'leaderchange', 'reconnecting', 'reconnected', 'latency', 'undecodable'
+];
+
+/**
+ * Event dispatched by LamderaWebSocket. Details (data, code, leaderId, ...)
+ * are plain properties, as on the matching browser event types.
+ */
+class LamderaEvent extends Event {
+    constructor(type, details = {}) {
+        super(type);
+        Object.assign(this, details);
+    }
+}
+
+// Node 22 has a global WebSocket too, but only `ws` takes handshake headers
+// (the session cookie), ping frames and agents. Deno and Bun look like Node
+// through `process` but are better served by their own WebSocket.
+const isNodeRuntime = () =>
+    typeof process !== 'undefined' && Boolean(process.versions && process.versions.node)
+    && typeof Deno === 'undefined' && typeof Bun === 'undefined';
+
 const getWebSocketImpl = async () => {
-    if (typeof window !== 'undefined' && window.WebSocket) {
-        return window.WebSocket;
+    if (!isNodeRuntime() && typeof globalThis.WebSocket === 'function') {
+        return globalThis.WebSocket;
     }
     
     try {
@@ -375,6 +430,9 @@ const getWebSocketImpl = async () => {
 
 /**
  * LamderaWebSocket - WebSocket client that automatically disconnects when elected as leader
+ *
+ * An EventTarget: listen with `addEventListener(type, listener)` or the
+ * matching `on<type>` property, which runs before added listeners.
  * 
  * @param {string} url - WebSocket URL to connect to
  * @param {Array} protocols - WebSocket protocols
@@ -382,30 +440,72 @@ const getWebSocketImpl = async () => {
  * @param {boolean} [options.debug=false] - Enable debug logging
  * @param {number} [options.debugMaxChars=0] - Maximum characters to show in debug messages (0 = unlimited)
  * @param {number} [options.duVariant=0x00] - DU variant for message encoding
+ * @param {Object} [options.toFrontend] - ToFrontend decoders (W.custom codec or tag -> codec map); by default only the duVariant String is decoded
+ * @param {string|Function} [options.leaderPolicy='avoid'] - 'avoid' (disconnect and retry when elected), 'accept' (stay connected as leader), 'observe' (never act, only report) or a callback returning 'disconnect', 'accept' or 'continue'
  * @param {number} [options.maxRetries=10] - Maximum retry attempts when becoming leader
+ * @param {number} [options.queueMaxSize=1000] - Maximum messages held while not connected
+ * @param {number} [options.queueTtl=0] - Default time-to-live in ms for a held message (0 = no expiry)
+ * @param {string} [options.queueOverflow='drop-oldest'] - When the queue is full: 'drop-oldest', 'drop-newest' or 'error'
+ * @param {Object} [options.outboxStorage] - Where queued messages are persisted for replay after a restart (in-memory by default)
+ * @param {boolean|Function} [options.reconnect=true] - Reconnect after unexpected closes; a function receives the close event and decides
+ * @param {number} [options.maxReconnectAttempts=10] - Maximum consecutive reconnect attempts before giving up
  * @param {number} [options.retryBaseDelay=2000] - Base delay in ms for exponential backoff
  * @param {number} [options.retryMaxDelay=15000] - Maximum delay in ms between retries
  * @param {number} [options.initialDelayMax=1000] - Maximum initial delay in ms to reduce leadership probability
+ * @param {number} [options.heartbeatInterval=0] - Ping the server every N ms once connected (0 = no heartbeat)
+ * @param {number} [options.heartbeatTimeout=10000] - Close and reconnect when a ping gets no pong within N ms
+ * @param {string} [options.heartbeatPing] - Send this string over the duVariant as the ping instead of a WebSocket ping frame (required in browsers)
+ * @param {string} [options.heartbeatPong] - The backend's reply to heartbeatPing (default: heartbeatPing echoed back)
+ * @param {number} [options.readableHighWaterMark=16] - Messages a stream or iterator buffers before the socket is paused (Node `ws` only)
+ * @param {number} [options.writableHighWaterMark=65536] - bufferedAmount in bytes above which `writable` writes wait
+ * @param {boolean} [options.unref=false] - Let the Node process exit while this client is all that keeps it running (see `unref()`)
  * @param {string} [options.sessionId] - Custom session ID
  * @param {string} [options.cookie] - Custom cookie string
+ * @param {Object} [options.headers] - Extra handshake headers, e.g. Authorization or Origin (Node `ws` only; a Cookie header is merged with the session cookie)
+ * @param {Object} [options.wsOptions] - Options merged into the `ws` constructor options, e.g. agent, ca, handshakeTimeout, perMessageDeflate
+ * @param {string|false} [options.proxy] - HTTP CONNECT proxy URL (Node only); by default HTTPS_PROXY / HTTP_PROXY / ALL_PROXY, false for none
+ * @param {string|string[]} [options.noProxy] - Hosts that bypass the proxy (default: NO_PROXY)
+ * @param {Function} [options.webSocketImpl] - WebSocket class to use instead of the global WebSocket or the `ws` package
+ * @param {boolean} [options.useBrowserSession=false] - Use the page's session from document.cookie, writing one if it has none
+ * @param {Object} [options.sessionStore] - Where the session cookie is kept between runs (see createMemorySessionStore); a stored session is used unless sessionId or cookie is given
+ * @param {boolean} [options.rotateSessionOnLeaderRetry=false] - Start a new session on each leader-avoidance retry
  */
-class LamderaWebSocket {
+class LamderaWebSocket extends EventTarget {
     static CONNECTING = 0;
     static OPEN = 1;
     static CLOSING = 2;
     static CLOSED = 3;
 
     constructor(url, protocols = [], options = {}) {
+        super();
         this.url = url;
         this.protocols = protocols;
         
         this.debug = options.debug || false;
         this.debugMaxChars = options.debugMaxChars || 0;
         this.duVariant = options.duVariant || DEFAULT_DU_VARIANT;
+        this.toFrontend = options.toFrontend ? createVariantRegistry(options.toFrontend) : null;
+        this.leaderPolicy = options.leaderPolicy || 'avoid';
+        if (typeof this.leaderPolicy !== 'function' && !LEADER_POLICIES.includes(this.leaderPolicy)) {
+            throw new Error(`Unknown leaderPolicy "${this.leaderPolicy}"; expected ${LEADER_POLICIES.join(', ')} or a function`);
+        }
         this.maxRetries = options.maxRetries || DEFAULT_MAX_RETRIES;
+        this.reconnect = options.reconnect === undefined ? true : options.reconnect;
+        this.maxReconnectAttempts = options.maxReconnectAttempts || DEFAULT_MAX_RECONNECT_ATTEMPTS;
         this.retryBaseDelay = options.retryBaseDelay || DEFAULT_RETRY_BASE_DELAY;
         this.retryMaxDelay = options.retryMaxDelay || DEFAULT_RETRY_MAX_DELAY;
         this.initialDelayMax = options.initialDelayMax || DEFAULT_INITIAL_DELAY_MAX;
+        this.heartbeatInterval = options.heartbeatInterval || 0;
+        this.heartbeatTimeout = options.heartbeatTimeout || DEFAULT_HEARTBEAT_TIMEOUT;
+        this.heartbeatPing = options.heartbeatPing || null;
+        this.heartbeatPong = options.heartbeatPong || this.heartbeatPing;
+        this.readableHighWaterMark = options.readableHighWaterMark || DEFAULT_READABLE_HIGH_WATER_MARK;
+        this.writableHighWaterMark = options.writableHighWaterMark || DEFAULT_WRITABLE_HIGH_WATER_MARK;
+        this.headers = options.headers || {};
+        this.wsOptions = options.wsOptions || {};
+        this.webSocketImpl = options.webSocketImpl || null;
+        this.proxy = options.proxy === undefined ? null : options.proxy;
+        this.noProxy = options.noProxy;
         
         if (options.cookie) {
             this.sessionId = extractSessionFromCookie(options.cookie) || generateSessionId();
@@ -413,16 +513,22 @@ class LamderaWebSocket {
         } else if (options.sessionId) {
             this.sessionId = options.sessionId;
             this.cookie = createSessionCookie(this.sessionId);
+        } else if (options.useBrowserSession) {
+            this.sessionId = getBrowserSessionId();
+            this.cookie = createSessionCookie(this.sessionId);
         } else {
             this.sessionId = generateSessionId();
             this.cookie = createSessionCookie(this.sessionId);
         }
+        this.sessionStore = options.sessionStore || null;
+        this.rotateSessionOnLeaderRetry = Boolean(options.rotateSessionOnLeaderRetry);
+        this._sessionSaves = Promise.resolve();
         
         this.connectionId = null;
         this.clientId = null;
         this.leaderId = null;
+        this.latency = null;
         this.readyState = LamderaWebSocket.CONNECTING;
-        this.bufferedAmount = 0;
         this.extensions = '';
         this.protocol = '';
         
@@ -432,19 +538,172 @@ class LamderaWebSocket {
         this.onerror = null;
         this.onsetup = null;
         this.onleaderdisconnect = null;
+        this.onleaderchange = null;
+        this.onreconnecting = null;
+        this.onreconnected = null;
+        this.onlatency = null;
+        
+        for (const type of HANDLER_EVENT_TYPES) {
+            this.addEventListener(type, (event) => {
+                const handler = this[`on${type}`];
+                if (handler) handler.call(this, event);
+            });
+        }
         
         this._ws = null;
+        this._tcpSocket = null;
         this._state = {
             setupCalled: false,
-            isReady: false,
+            transportOpen: false,
+            ref: true,
             retryCount: 0,
-            retryTimeout: null,
-            messageQueue: []
+            connectTimeout: null,
+            reconnectCount: 0,
+            closeRequested: false,
+            requestedClose: null,
+            closed: false,
+            proxyWarned: false,
+            flushRetry: null
+        };
+        this._heartbeat = {
+            interval: null,
+            timeout: null,
+            pingSentAt: null
         };
+        this._readable = null;
+        this._writable = null;
+        this._streamControllers = new Set();
+        this._readyWaiters = [];
+        this._queue = new OutboundQueue({
+            maxSize: options.queueMaxSize,
+            ttl: options.queueTtl,
+            overflow: options.queueOverflow,
+            storage: options.outboxStorage
+        });
         
-        const initialDelay = Math.random() * this.initialDelayMax;
-        this._debugLog(`⏳ Initial connection delay: ${initialDelay.toFixed(0)}ms to reduce leadership probability`);
-        setTimeout(() => this._initWebSocket(), initialDelay);
+        // Messages left in the outbox by a previous run go out before anything
+        // new, and a stored session is picked up before the first connect
+        const outboxRestored = this._queue.restore()
+            .then(
+                (count) => {
+                    if (count > 0) this._debugLog(`📦 Restored ${count} queued messages from the outbox`);
+                },
+                (error) => console.log('⚠️ Could not restore the outbox:', error.message)
+            );
+        const sessionRestored = this._restoreSession(Boolean(options.cookie || options.sessionId || options.useBrowserSession));
+        
+        Promise.all([outboxRestored, sessionRestored])
+            .then(() => {
+                if (this._state.closeRequested) return;
+                
+                const initialDelay = Math.random() * this.initialDelayMax;
+                this._debugLog(`⏳ Initial connection delay: ${initialDelay.toFixed(0)}ms to reduce leadership probability`);
+                this._state.connectTimeout = this._applyRef(setTimeout(() => {
+                    this._state.connectTimeout = null;
+                    this._initWebSocket();
+                }, initialDelay));
+            });
+        
+        if (options.unref) this.unref();
+    }
+    
+    /**
+     * Constructor options for the `ws` package (or a compatible injected
+     * implementation); undefined for the runtime's own WebSocket, which
+     * takes none (browsers send the page's cookies themselves).
+     */
+    _buildWsOptions(WebSocketImpl) {
+        if (WebSocketImpl === globalThis.WebSocket) {
+            return undefined;
+        }
+        
+        // A Cookie header given here is kept, with the session cookies on top
+        const headers = { ...this.wsOptions.headers, ...this.headers };
+        let cookie = '';
+        for (const name of Object.keys(headers)) {
+            if (name.toLowerCase() !== 'cookie') continue;
+            cookie = mergeSetCookie(cookie, parseCookiePairs(String(headers[name])).map(pair => pair.join('=')));
+            delete headers[name];
+        }
+        cookie = mergeSetCookie(cookie, parseCookiePairs(this.cookie).map(pair => pair.join('=')));
+        
+        return { ...this.wsOptions, headers: { ...headers, Cookie: cookie } };
+    }
+    
+    /**
+     * In Node, tunnel through the configured proxy unless the caller passed
+     * an agent of their own. A proxy from the environment that cannot be
+     * tunnelled through (e.g. SOCKS) is skipped with a warning, since it may
+     * be meant for other tools; an explicit `proxy` option must work.
+     */
+    async _addProxyAgent(wsOptions) {
+        if (!wsOptions || wsOptions.agent || !isNodeRuntime()) return wsOptions;
+        
+        // Mapped to false in package.json's `browser` field, so bundlers skip it
+        const { resolveProxy, isSupportedProxy, createProxyAgent } = await import('./node.js');
+        const proxy = resolveProxy(this.url, { proxy: this.proxy, noProxy: this.noProxy });
+        if (!proxy) return wsOptions;
+        
+        if (!this.proxy && !isSupportedProxy(proxy)) {
+            if (!this._state.proxyWarned) {
+                this._state.proxyWarned = true;
+                const scheme = (proxy.match(/^([\w+.-]+):/) || [])[1] || 'unrecognised';
+                console.log(`⚠️ Ignoring the ${scheme} proxy from the environment (only http and https proxies are supported); connecting directly`);
+            }
+            return wsOptions;
+        }
+        
+        this._debugLog(`🚇 Connecting through proxy ${new URL(proxy).host}`);
+        return { ...wsOptions, agent: await createProxyAgent(proxy, this.url) };
+    }
+    
+    async _restoreSession(explicit) {
+        if (!this.sessionStore) return;
+        
+        try {
+            const stored = explicit ? null : await this.sessionStore.load();
+            const storedSessionId = stored ? extractSessionFromCookie(stored) : null;
+            if (storedSessionId) {
+                this.cookie = stored;
+                this.sessionId = storedSessionId;
+                this._debugLog(`🍪 Restored session ${this.sessionId}`);
+                return;
+            }
+        } catch (error) {
+            console.log('⚠️ Could not restore the session:', error.message);
+        }
+        
+        await this._saveSession();
+    }
+    
+    // Saves run one at a time, in order, so the last cookie set is the one stored
+    _saveSession() {
+        if (!this.sessionStore) return Promise.resolve();
+        
+        const cookie = this.cookie;
+        this._sessionSaves = this._sessionSaves
+            .then(() => this.sessionStore.save(cookie))
+            .catch(error => console.log('⚠️ Session store error:', error.message));
+        return this._sessionSaves;
+    }
+    
+    /**
+     * Adopt cookies the server set on the upgrade response, keeping a
+     * session cookie even if the server drops it.
+     */
+    _applySetCookie(setCookieHeaders) {
+        if (!setCookieHeaders) return;
+        
+        let cookie = mergeSetCookie(this.cookie, setCookieHeaders);
+        if (!extractSessionFromCookie(cookie)) {
+            cookie = mergeSetCookie(cookie, [createSessionCookie(this.sessionId)]);
+        }
+        if (cookie === this.cookie) return;
+        
+        this.cookie = cookie;
+        this.sessionId = extractSessionFromCookie(cookie);
+        this._debugLog(`🍪 Cookies updated by the server; session ${this.sessionId}`);
+        this._saveSession();
     }
     
     _debugLog(...args) {
@@ -484,31 +743,45 @@ class LamderaWebSocket {
     
     async _initWebSocket() {
         try {
-            const WebSocketImpl = await getWebSocketImpl();
+            const WebSocketImpl = this.webSocketImpl || await getWebSocketImpl();
+            if (this._state.closeRequested) return;
+            
+            const wsOptions = await this._addProxyAgent(this._buildWsOptions(WebSocketImpl));
+            if (this._state.closeRequested) return;
             
-            const wsOptions = (typeof window === 'undefined') 
-                ? { headers: { 'Cookie': this.cookie } }
-                : undefined;
-                
             this._ws = new WebSocketImpl(this.url, this.protocols, wsOptions);
             
+            // Node `ws` answers ping frames with pong events and exposes the
+            // TCP socket on upgrade; browsers offer neither
+            if (typeof this._ws.on === 'function') {
+                const socket = this._ws;
+                socket.on('pong', () => {
+                    if (socket === this._ws) this._receivePong();
+                });
+                socket.on('upgrade', (response) => {
+                    if (socket !== this._ws) return;
+                    this._tcpSocket = this._applyRef(response.socket);
+                    this._applySetCookie(response.headers['set-cookie']);
+                });
+            }
+            
+            // readyState stays CONNECTING until the Lamdera handshake
             this._ws.onopen = (event) => {
                 this._debugLog('🔌 Raw WebSocket opened, waiting for Lamdera handshake...');
-                this.readyState = LamderaWebSocket.OPEN;
-                this._state.isReady = true;
-                
-                while (this._state.messageQueue.length > 0) {
-                    const message = this._state.messageQueue.shift();
-                    this._ws.send(message);
-                }
+                this._state.transportOpen = true;
             };
             
             this._ws.onmessage = (event) => {
                 this._debugLog('📨 Raw message received:', event.data);
-                const parsed = parseTransportMessage(event.data, this.duVariant, this._getBoundedDebugLog());
+                const parsed = parseTransportMessage(event.data, this.toFrontend || this.duVariant, this._getBoundedDebugLog());
                 this._debugLog('🔍 Parsed message:', JSON.stringify(parsed, null, 2));
                 
-                if (parsed.type === 'protocol') {
+                if (parsed.type === 'undecodable') {
+                    this._debugLog(`⚠️ Undecodable message for variant ${parsed.tag}: ${parsed.error}`);
+                    this._debugLog('   Raw bytes:', bufferToHex(parsed.raw));
+                }
+                
+                if (parsed.type === 'protocol' || parsed.type === 'undecodable') {
                     this._debugLog('🔧 Protocol message received');
                     
                     if (parsed.connectionId) {
@@ -521,22 +794,33 @@ class LamderaWebSocket {
                             this.connectionId = parsed.connectionId;
                             this.clientId = parsed.connectionId;
                             
-                            if (this._state.retryCount > 0) {
-                                this._debugLog('🔄 Reconnected after leader retry, resetting retry count');
-                                this._state.retryCount = 0;
-                            }
+                            const reconnectAttempts = this._state.reconnectCount;
+                            this._state.reconnectCount = 0;
+                            
+                            this.readyState = LamderaWebSocket.OPEN;
+                            this._flushQueue();
+                            this._startHeartbeat();
+                            this._settleReady(null);
                             
                             this._debugLog('✅ Lamdera connection established, waiting for leader election');
-                            if (this.onopen) this.onopen(event);
+                            this._emit('open');
                             
-                            if (this.onsetup && !this._state.setupCalled) {
+                            if (!this._state.setupCalled) {
                                 this._state.setupCalled = true;
-                                this.onsetup({
+                                this._emit('setup', {
                                     clientId: this.clientId,
                                     leaderId: this.leaderId,
                                     isLeader: false
                                 });
                             }
+                            
+                            if (reconnectAttempts > 0) {
+                                this._emit('reconnected', {
+                                    attempts: reconnectAttempts,
+                                    clientId: this.clientId,
+                                    sessionId: this.sessionId
+                                });
+                            }
                         }
                     } else {
                         this._debugLog('   No connectionId in protocol message');
@@ -551,12 +835,22 @@ class LamderaWebSocket {
                     if (this._applyLeaderStatusChange(this._evaluateLeaderStatus(parsed.leaderId))) return;
                 }
                 
-                if (parsed.type === 'message' && this.onmessage) {
+                const text = parsed.type === 'message' && parsed.tag === this.duVariant
+                    ? variantText(parsed.data)
+                    : undefined;
+                
+                if (this.heartbeatPing && text === this.heartbeatPong) {
+                    this._receivePong();
+                    return;
+                }
+                
+                if (parsed.type === 'message') {
                     this._debugLog('📥 Application message:', parsed.data);
-                    this.onmessage({
+                    this._emit('message', {
                         data: parsed.data,
-                        type: 'message',
-                        target: this,
+                        variant: parsed.variant,
+                        tag: parsed.tag,
+                        text,
                         origin: event.origin || '',
                         lastEventId: '',
                         source: null,
@@ -564,58 +858,143 @@ class LamderaWebSocket {
                     });
                 }
                 
+                if (parsed.type === 'undecodable') {
+                    this._emit('undecodable', { tag: parsed.tag, raw: parsed.raw, error: parsed.error });
+                }
+                
                 if (parsed.type === 'error') {
                     console.log('❌ Message parsing error:', parsed.error);
                 }
             };
             
-            this._ws.onclose = (event) => {
-                this.readyState = LamderaWebSocket.CLOSED;
-                if (this.onclose) this.onclose(event);
-            };
+            this._ws.onclose = (event) => this._handleTransportClose(event);
             
             this._ws.onerror = (event) => {
-                if (this.onerror) this.onerror(event);
-            };
-            
-            const syncReadyState = () => {
-                if (this._ws) {
-                    this.readyState = this._ws.readyState;
-                    this.bufferedAmount = this._ws.bufferedAmount || 0;
-                }
-                if (this.readyState !== LamderaWebSocket.CLOSED) {
-                    setTimeout(syncReadyState, READY_STATE_SYNC_INTERVAL);
-                }
+                // Closing a socket that is still connecting reports an error; it was asked for
+                if (this._state.closeRequested) return;
+                this._emit('error', { error: event.error, message: event.message });
             };
-            syncReadyState();
             
         } catch (error) {
-            this.readyState = LamderaWebSocket.CLOSED;
-            if (this.onerror) {
-                this.onerror({ 
-                    type: 'error', 
-                    error, 
-                    target: this 
-                });
-            }
+            this._emit('error', { error, message: error.message });
+            this._finishClose({ code: 1006, reason: error.message, wasClean: false }, error);
+        }
+    }
+    
+    _emit(type, details) {
+        this.dispatchEvent(new LamderaEvent(type, details));
+    }
+    
+    _handleTransportClose(event) {
+        this._stopHeartbeat();
+        this._cancelFlushRetry();
+        
+        if (this._state.closeRequested) {
+            this._finishClose({ ...this._state.requestedClose, wasClean: event.wasClean });
+            return;
+        }
+        
+        if (!this._shouldReconnect(event)) {
+            this._finishClose({ code: event.code, reason: event.reason, wasClean: event.wasClean });
+            return;
         }
+        
+        if (this._state.reconnectCount >= this.maxReconnectAttempts) {
+            console.log(`🚫 Max reconnect attempts (${this.maxReconnectAttempts}) exceeded, giving up`);
+            this._finishClose({ code: event.code, reason: CLOSE_REASON_MAX_RECONNECTS, wasClean: event.wasClean });
+            return;
+        }
+        
+        this._scheduleReconnect(event);
     }
     
-    _calculateRetryDelay() {
-        const exponential = this.retryBaseDelay * Math.pow(RETRY_EXPONENTIAL_BASE, this._state.retryCount - 1);
+    /**
+     * End the connection for good. Every way a connection ends comes through
+     * here, so each logical close dispatches exactly one close event.
+     */
+    _finishClose({ code, reason, wasClean }, queueError = new Error(`Connection closed (code ${code}) before the message was sent`)) {
+        if (this._state.closed) return;
+        this._state.closed = true;
+        
+        this._stopHeartbeat();
+        this._cancelFlushRetry();
+        if (this._state.connectTimeout) {
+            clearTimeout(this._state.connectTimeout);
+            this._state.connectTimeout = null;
+        }
+        
+        this.readyState = LamderaWebSocket.CLOSED;
+        this._queue.clear(queueError);
+        this._settleReady(new Error(`Connection closed (code ${code}${reason ? `: ${reason}` : ''}) before the Lamdera handshake`));
+        this._emit('close', { code, reason, wasClean });
+    }
+    
+    _calculateRetryDelay(attempt = this._state.retryCount) {
+        const exponential = this.retryBaseDelay * Math.pow(RETRY_EXPONENTIAL_BASE, attempt - 1);
         const jitter = Math.random() * RETRY_JITTER_RANGE; // 0-1s random
         return Math.min(exponential + jitter, this.retryMaxDelay);
     }
     
+    _shouldReconnect(event) {
+        if (!this.reconnect) return false;
+        
+        return typeof this.reconnect === 'function'
+            ? Boolean(this.reconnect(event))
+            : RETRYABLE_CLOSE_CODES.includes(event.code);
+    }
+    
+    /**
+     * Reopen the socket after an unexpected close, keeping the session so the
+     * backend sees the same browser session reconnecting.
+     */
+    _scheduleReconnect(event) {
+        this._state.reconnectCount++;
+        const attempt = this._state.reconnectCount;
+        const delay = this._calculateRetryDelay(attempt);
+        
+        this._ws = null;
+        this._state.transportOpen = false;
+        this.readyState = LamderaWebSocket.CONNECTING;
+        this.connectionId = null;
+        this.clientId = null;
+        this.leaderId = null;
+        
+        console.log(`🔌 Connection lost (code ${event.code}), reconnecting in ${(delay/1000).toFixed(1)}s (attempt ${attempt}/${this.maxReconnectAttempts})`);
+        this._emit('reconnecting', {
+            attempt,
+            delay,
+            code: event.code,
+            reason: event.reason
+        });
+        
+        this._state.connectTimeout = this._applyRef(setTimeout(() => {
+            this._state.connectTimeout = null;
+            this._initWebSocket();
+        }, delay));
+    }
+    
     _evaluateLeaderStatus(newLeaderId) {
-        if (!newLeaderId || !this.clientId) return null;
+        if (!newLeaderId || !this.clientId || this._state.closeRequested) return null;
         
-        return {
+        const status = {
             previousLeader: this.leaderId,
             newLeader: newLeaderId,
-            iAmLeader: this.clientId === newLeaderId,
-            action: this.clientId === newLeaderId ? 'disconnect' : 'continue'
+            iAmLeader: this.clientId === newLeaderId
         };
+        return { ...status, action: this._leaderAction(status) };
+    }
+    
+    _leaderAction(status) {
+        if (typeof this.leaderPolicy === 'function') {
+            const action = this.leaderPolicy({ ...status, clientId: this.clientId, retryCount: this._state.retryCount });
+            if (LEADER_ACTIONS.includes(action)) return action;
+            
+            console.log(`⚠️ leaderPolicy returned ${JSON.stringify(action)}, expected ${LEADER_ACTIONS.join(', ')}; continuing`);
+            return 'continue';
+        }
+        
+        if (!status.iAmLeader || this.leaderPolicy === 'observe') return 'continue';
+        return this.leaderPolicy === 'avoid' ? 'disconnect' : 'accept';
     }
     
     _applyLeaderStatusChange(evaluation) {
@@ -630,6 +1009,23 @@ class LamderaWebSocket {
         
         this.leaderId = evaluation.newLeader;
         
+        this._emit('leaderchange', {
+            leaderId: evaluation.newLeader,
+            previousLeaderId: evaluation.previousLeader,
+            isLeader: evaluation.iAmLeader,
+            action: evaluation.action
+        });
+        
+        if (evaluation.action === 'accept') {
+            this._debugLog('👑 Accepted leader role');
+        }
+        
+        // Retries count in a row; they end once an election leaves this client be
+        if (evaluation.action !== 'disconnect' && this._state.retryCount > 0) {
+            this._debugLog('🔄 Leader retries over, resetting retry count');
+            this._state.retryCount = 0;
+        }
+        
         if (evaluation.action === 'disconnect') {
             console.log('⚠️ Detected leader role, disconnecting...');
             this._handleLeaderDisconnection();
@@ -648,31 +1044,32 @@ class LamderaWebSocket {
         
         if (this._state.retryCount <= this.maxRetries) {
             const retryDelay = this._calculateRetryDelay();
-            console.log(`⏳ Retrying connection in ${(retryDelay/1000).toFixed(1)}s with new session...`);
-            this._state.retryTimeout = setTimeout(() => {
-                this.sessionId = generateSessionId();
-                this.cookie = createSessionCookie(this.sessionId);
-                this._debugLog(`🆕 New session ID: ${this.sessionId}`);
+            console.log(`⏳ Retrying connection in ${(retryDelay/1000).toFixed(1)}s${this.rotateSessionOnLeaderRetry ? ' with new session' : ''}...`);
+            this._state.connectTimeout = this._applyRef(setTimeout(() => {
+                if (this.rotateSessionOnLeaderRetry) {
+                    this.sessionId = generateSessionId();
+                    this.cookie = mergeSetCookie(this.cookie, [createSessionCookie(this.sessionId)]);
+                    this._debugLog(`🆕 New session ID: ${this.sessionId}`);
+                    this._saveSession();
+                }
                 this._state.setupCalled = false;
                 this._initWebSocket();
-            }, retryDelay);
+            }, retryDelay));
         } else {
             console.log(`🚫 Max retries (${this.maxRetries}) exceeded, giving up`);
             this.readyState = LamderaWebSocket.CLOSED;
-            if (this.onleaderdisconnect) {
-                this.onleaderdisconnect({
-                    type: 'leaderdisconnect',
-                    retryCount: this._state.retryCount,
-                    target: this
-                });
-            }
+            this._queue.clear(new Error(`Gave up avoiding the leader role after ${this.maxRetries} retries`));
+            this._emit('leaderdisconnect', { retryCount: this._state.retryCount });
+            this._finishClose({ code: CLOSE_CODE_NORMAL, reason: CLOSE_REASON_LEADER_AVOIDANCE, wasClean: true });
         }
     }
     
     _disconnectInternal() {
-        if (this._state.retryTimeout) {
-            clearTimeout(this._state.retryTimeout);
-            this._state.retryTimeout = null;
+        this._stopHeartbeat();
+        
+        if (this._state.connectTimeout) {
+            clearTimeout(this._state.connectTimeout);
+            this._state.connectTimeout = null;
         }
         
         if (this._ws) {
@@ -684,48 +1081,400 @@ class LamderaWebSocket {
             this._ws = null;
         }
         
-        this._state.isReady = false;
-        this._state.messageQueue = [];
+        this._state.transportOpen = false;
         this.connectionId = null;
         this.clientId = null;
         this.leaderId = null;
     }
     
-    send(data) {
-        if (this._state.retryCount > 0 && this._state.retryCount <= this.maxRetries) {
-            this._debugLog('🚫 Blocking send - retrying connection due to leader role');
-            return;
-        }
+    /**
+     * Send a string through the configured `duVariant` (the `A00_` constructor).
+     *
+     * Messages sent before the Lamdera handshake completes, or while
+     * reconnecting, are queued and written in order once it does. Returns a
+     * promise that resolves when the message is written to the socket and
+     * rejects if it is dropped from the queue (overflow, `ttl` expiry or
+     * close). Ignoring the promise is safe.
+     */
+    send(data, options) {
+        return this._sendMessage(data, this.duVariant, data, options);
+    }
+    
+    /**
+     * Send any ToBackend constructor: `tag` is its variant index and `payload`
+     * its Wire3-encoded arguments (empty for constructors without arguments).
+     */
+    sendVariant(tag, payload = new Uint8Array(0), options) {
+        return this._sendMessage(payload, tag, `variant ${tag} (${payload.length} bytes)`, options);
+    }
+    
+    /**
+     * Encode `value` with `codec` and send it. A custom-type codec (W.custom)
+     * writes its own variant tag; any other codec is sent as the payload of
+     * the configured `duVariant`.
+     */
+    sendTyped(codec, value, options) {
+        const encoded = codec.encode(value);
         
-        if (this.readyState === LamderaWebSocket.CONNECTING) {
-            const transportMessage = createTransportMessage(this.sessionId, this.connectionId, data, this.duVariant);
-            this._debugLog('📤 Queuing message while connecting:', data);
-            this._state.messageQueue.push(transportMessage);
-            return;
+        if (codec.variants) {
+            return this._sendMessage(encoded.subarray(1), encoded[0], value, options);
+        }
+        return this._sendMessage(encoded, this.duVariant, value, options);
+    }
+    
+    _sendMessage(message, duVariant, description, options) {
+        if (this._canWrite() && this._queue.length === 0) {
+            this._writeMessage({ message, duVariant, description });
+            return Promise.resolve();
         }
         
-        if (this.readyState !== LamderaWebSocket.OPEN) {
-            throw new Error(`WebSocket is not open: readyState ${this.readyState}`);
+        if (this.readyState === LamderaWebSocket.CONNECTING || this.readyState === LamderaWebSocket.OPEN) {
+            this._debugLog('📤 Queuing message until the Lamdera handshake completes:', description);
+            return this._queue.enqueue({ message, duVariant, description }, options);
         }
         
-        const transportMessage = createTransportMessage(this.sessionId, this.connectionId, data, this.duVariant);
-        this._debugLog('📤 Sending message:', data);
+        throw new Error(`WebSocket is not open: readyState ${this.readyState}`);
+    }
+    
+    _canWrite() {
+        return Boolean(this._ws && this.connectionId && this._ws.readyState === LamderaWebSocket.OPEN);
+    }
+    
+    _writeMessage({ message, duVariant, description }) {
+        const transportMessage = createTransportMessage(this.sessionId, this.connectionId, message, duVariant);
+        this._debugLog('📤 Sending message:', description);
         this._debugLog('   Transport format:', transportMessage);
         this._ws.send(transportMessage);
     }
     
-    close(code, reason) {
-        if (this._state.retryTimeout) {
-            clearTimeout(this._state.retryTimeout);
-            this._state.retryTimeout = null;
+    _flushQueue() {
+        if (this._queue.length === 0) return;
+        
+        this._debugLog(`📬 Flushing ${this._queue.length} queued messages`);
+        try {
+            this._queue.flush(entry => this._writeMessage(entry));
+        } catch (error) {
+            this._debugLog(`⚠️ Flush stopped with ${this._queue.length} messages still queued:`, error.message);
+            this._scheduleFlushRetry();
+        }
+    }
+    
+    // Later sends queue behind the failed message, so something has to
+    // flush again while the socket stays open; a new handshake flushes anyway
+    _scheduleFlushRetry() {
+        if (this._state.flushRetry) return;
+        
+        this._state.flushRetry = this._applyRef(setTimeout(() => {
+            this._state.flushRetry = null;
+            if (this._canWrite()) this._flushQueue();
+        }, FLUSH_RETRY_DELAY));
+    }
+    
+    _cancelFlushRetry() {
+        clearTimeout(this._state.flushRetry);
+        this._state.flushRetry = null;
+    }
+    
+    _startHeartbeat() {
+        this._stopHeartbeat();
+        if (!this.heartbeatInterval) return;
+        
+        if (!this.heartbeatPing && typeof this._ws.ping !== 'function') {
+            console.log('⚠️ This WebSocket cannot send ping frames; set heartbeatPing to use an application-level heartbeat');
+            return;
+        }
+        
+        this._heartbeat.interval = this._applyRef(setInterval(() => this._sendPing(), this.heartbeatInterval));
+    }
+    
+    _stopHeartbeat() {
+        clearInterval(this._heartbeat.interval);
+        clearTimeout(this._heartbeat.timeout);
+        this._heartbeat.interval = null;
+        this._heartbeat.timeout = null;
+        this._heartbeat.pingSentAt = null;
+    }
+    
+    _sendPing() {
+        // One ping in flight at a time; its timeout decides if the connection is dead
+        if (!this._canWrite() || this._heartbeat.pingSentAt !== null) return;
+        
+        this._heartbeat.pingSentAt = Date.now();
+        this._heartbeat.timeout = this._applyRef(setTimeout(() => this._handleHeartbeatTimeout(), this.heartbeatTimeout));
+        
+        if (this.heartbeatPing) {
+            this._writeMessage({ message: this.heartbeatPing, duVariant: this.duVariant, description: 'heartbeat ping' });
+        } else {
+            this._ws.ping();
+        }
+    }
+    
+    _receivePong() {
+        if (this._heartbeat.pingSentAt === null) return;
+        
+        this.latency = Date.now() - this._heartbeat.pingSentAt;
+        clearTimeout(this._heartbeat.timeout);
+        this._heartbeat.timeout = null;
+        this._heartbeat.pingSentAt = null;
+        
+        this._debugLog(`💓 Heartbeat round trip: ${this.latency}ms`);
+        this._emit('latency', { latency: this.latency });
+    }
+    
+    /**
+     * A half-open connection never reports its own death, so drop the socket
+     * without waiting for a close handshake and treat it as a network drop.
+     */
+    _handleHeartbeatTimeout() {
+        console.log(`💔 No heartbeat response within ${this.heartbeatTimeout}ms, closing the connection`);
+        
+        const socket = this._ws;
+        this._disconnectInternal();
+        if (socket && typeof socket.terminate === 'function') socket.terminate();
+        
+        this._handleTransportClose({
+            type: 'close',
+            code: HEARTBEAT_CLOSE_CODE,
+            reason: 'Heartbeat timeout',
+            wasClean: false,
+            target: this
+        });
+    }
+    
+    /**
+     * Close the connection in whatever phase it is: connecting, open,
+     * waiting to reconnect or retrying to avoid the leader role. The close
+     * event carries `code` (default 1000) and `reason` (default
+     * 'Closed by the client'). Calling it again has no effect.
+     *
+     * Queued messages are rejected but stay in `outboxStorage` for the next
+     * socket, unless `{ discardOutbox: true }` is passed, either alone or
+     * after `code` and `reason`.
+     */
+    close(code, reason, options = {}) {
+        if (code !== null && typeof code === 'object') {
+            options = code;
+            code = undefined;
+        }
+        if (code !== undefined && code !== CLOSE_CODE_NORMAL && (code < 3000 || code > 4999)) {
+            throw new Error(`Invalid close code ${code}; expected 1000 or 3000-4999`);
+        }
+        if (this._state.closeRequested || this._state.closed) return;
+        
+        this._state.closeRequested = true;
+        this._state.requestedClose = {
+            code: code === undefined ? CLOSE_CODE_NORMAL : code,
+            reason: reason || CLOSE_REASON_CLIENT
+        };
+        this._stopHeartbeat();
+        this._queue.clear(new Error('WebSocket was closed before the message was sent'), { discard: Boolean(options.discardOutbox) });
+        
+        if (this._state.connectTimeout) {
+            clearTimeout(this._state.connectTimeout);
+            this._state.connectTimeout = null;
         }
         
         this.readyState = LamderaWebSocket.CLOSING;
         if (this._ws) {
             this._ws.close(code, reason);
         } else {
-            this.readyState = LamderaWebSocket.CLOSED;
+            // No socket to wait for; still dispatch the close event asynchronously, as a socket would
+            Promise.resolve().then(() => this._finishClose({ ...this._state.requestedClose, wasClean: true }));
+        }
+    }
+    
+    /**
+     * Incoming message data (`event.data`) from the moment `readable` is
+     * first read; closes when the connection closes for good. Cancelling it
+     * stops the stream but leaves the connection open.
+     */
+    get readable() {
+        if (!this._readable) this._readable = this._createMessageStream();
+        return this._readable;
+    }
+    
+    /**
+     * Strings (or Wire3 payloads) written here are sent through `duVariant`.
+     * Each write resolves once the message is handed to the socket and its
+     * bufferedAmount is below `writableHighWaterMark`. Closing or aborting
+     * the stream closes the connection.
+     */
+    get writable() {
+        if (!this._writable) {
+            this._writable = new WritableStream({
+                write: async (chunk) => {
+                    await this.send(chunk);
+                    await this._bufferDrained();
+                },
+                close: () => this.close(),
+                abort: () => this.close()
+            });
+        }
+        return this._writable;
+    }
+    
+    /**
+     * `for await (const data of ws)` - each loop gets its own message stream,
+     * so several can run side by side. Leaving the loop early stops that
+     * stream only.
+     */
+    [Symbol.asyncIterator]() {
+        const reader = this._createMessageStream().getReader();
+        return {
+            next: () => reader.read(),
+            return: async () => {
+                await reader.cancel();
+                return { done: true, value: undefined };
+            },
+            [Symbol.asyncIterator]() { return this; }
+        };
+    }
+    
+    _createMessageStream() {
+        let controller;
+        
+        const onMessage = (event) => {
+            controller.enqueue(event.data);
+            this._updateTransportFlow();
+        };
+        const onEnd = () => {
+            detach();
+            controller.close();
+        };
+        const detach = () => {
+            this._streamControllers.delete(controller);
+            this.removeEventListener('message', onMessage);
+            this.removeEventListener('close', onEnd);
+            this.removeEventListener('leaderdisconnect', onEnd);
+            this._updateTransportFlow();
+        };
+        
+        return new ReadableStream({
+            start: (streamController) => {
+                controller = streamController;
+                if (this.readyState === LamderaWebSocket.CLOSED) {
+                    controller.close();
+                    return;
+                }
+                this._streamControllers.add(controller);
+                this.addEventListener('message', onMessage);
+                this.addEventListener('close', onEnd);
+                this.addEventListener('leaderdisconnect', onEnd);
+            },
+            pull: () => this._updateTransportFlow(),
+            cancel: detach
+        }, { highWaterMark: this.readableHighWaterMark });
+    }
+    
+    // Pause reading while any message stream is full. Only Node `ws` can
+    // pause; browsers keep delivering and the streams buffer.
+    _updateTransportFlow() {
+        if (!this._ws || typeof this._ws.pause !== 'function') return;
+        
+        const full = [...this._streamControllers].some(controller => controller.desiredSize <= 0);
+        if (full && !this._ws.isPaused) {
+            this._debugLog('⏸️ Message stream full, pausing the socket');
+            this._ws.pause();
+        } else if (!full && this._ws.isPaused) {
+            this._debugLog('▶️ Message stream drained, resuming the socket');
+            this._ws.resume();
+        }
+    }
+    
+    _bufferDrained() {
+        return new Promise(resolve => {
+            const check = () => {
+                if (!this._ws || (this._ws.bufferedAmount || 0) <= this.writableHighWaterMark) {
+                    resolve();
+                } else {
+                    this._applyRef(setTimeout(check, BUFFERED_AMOUNT_POLL_INTERVAL));
+                }
+            };
+            check();
+        });
+    }
+    
+    /**
+     * 'connecting', 'handshaking' (socket open, waiting for the Lamdera
+     * handshake), 'open', 'closing' or 'closed'.
+     */
+    get status() {
+        if (this.readyState === LamderaWebSocket.CONNECTING && this._state.transportOpen) return 'handshaking';
+        return STATUS_NAMES[this.readyState];
+    }
+    
+    /**
+     * Resolves with `{ clientId, leaderId }` once the Lamdera handshake has
+     * completed: at once when open, otherwise at the next handshake
+     * (including after a reconnect). Rejects if the connection closes for
+     * good first.
+     */
+    ready() {
+        if (this.readyState === LamderaWebSocket.OPEN) {
+            return Promise.resolve({ clientId: this.clientId, leaderId: this.leaderId });
         }
+        if (this.readyState === LamderaWebSocket.CLOSED) {
+            return Promise.reject(new Error('Connection is closed'));
+        }
+        return new Promise((resolve, reject) => this._readyWaiters.push({ resolve, reject }));
+    }
+    
+    _settleReady(error) {
+        const waiters = this._readyWaiters.splice(0);
+        for (const { resolve, reject } of waiters) {
+            if (error) {
+                reject(error);
+            } else {
+                resolve({ clientId: this.clientId, leaderId: this.leaderId });
+            }
+        }
+    }
+    
+    /**
+     * Let the Node process exit while this client's socket and timers are all
+     * that keep it running, like `timer.unref()`. `ref()` undoes it. Applies
+     * across reconnects; no effect in browsers.
+     */
+    unref() {
+        this._setRef(false);
+        return this;
+    }
+    
+    ref() {
+        this._setRef(true);
+        return this;
+    }
+    
+    _setRef(ref) {
+        this._state.ref = ref;
+        this._queue.setRef(ref);
+        [this._state.connectTimeout, this._state.flushRetry, this._heartbeat.interval, this._heartbeat.timeout, this._tcpSocket]
+            .forEach(handle => this._applyRef(handle));
+    }
+    
+    // Node timers and sockets have ref()/unref(); browser timer ids are numbers
+    _applyRef(handle) {
+        if (handle && typeof handle.unref === 'function') {
+            if (this._state.ref) {
+                handle.ref();
+            } else {
+                handle.unref();
+            }
+        }
+        return handle;
+    }
+    
+    /**
+     * Bytes the socket has accepted but not yet sent, read from the socket
+     * itself (0 while there is none). Messages still in the outbound queue
+     * are not counted.
+     */
+    get bufferedAmount() {
+        return this._ws ? this._ws.bufferedAmount || 0 : 0;
+    }
+    
+    get isLeader() {
+        return this.clientId !== null && this.clientId === this.leaderId;
     }
     
     get CONNECTING() { return LamderaWebSocket.CONNECTING; }
@@ -734,20 +1483,101 @@ class LamderaWebSocket {
     get CLOSED() { return LamderaWebSocket.CLOSED; }
 }
 
+/**
+ * Create a LamderaWebSocket without waiting for it to connect. Use
+ * connectLamdera to wait for the handshake.
+ */
 const createLamderaWebSocket = async (url, sessionId = generateSessionId()) => {
     return new LamderaWebSocket(url, [], { sessionId });
 };
 
+/**
+ * Open a LamderaWebSocket and resolve with it once it is ready to use: the
+ * Lamdera handshake has completed and, when avoiding the leader role, an
+ * election has left this client be (or none arrived within
+ * `leaderSettleTime`). Rejects if the connection closes for good first
+ * (e.g. max retries exceeded) or `timeout` passes; on timeout the socket is
+ * closed.
+ *
+ * @param {string} url - WebSocket URL to connect to
+ * @param {Object} options - LamderaWebSocket options, plus:
+ * @param {number} [options.timeout=30000] - Give up after N ms (0 = wait as long as retries go on)
+ * @param {number} [options.leaderSettleTime=500] - How long to wait after the handshake for an election
+ * @returns {Promise<LamderaWebSocket>}
+ */
+const connectLamdera = (url, options = {}) => new Promise((resolve, reject) => {
+    const timeout = options.timeout === undefined ? DEFAULT_CONNECT_TIMEOUT : options.timeout;
+    const leaderSettleTime = options.leaderSettleTime === undefined ? DEFAULT_LEADER_SETTLE_TIME : options.leaderSettleTime;
+    const ws = new LamderaWebSocket(url, [], options);
+    const avoidsLeader = ws.leaderPolicy === 'avoid' || typeof ws.leaderPolicy === 'function';
+    
+    let settleTimer = null;
+    let timeoutTimer = null;
+    
+    const onOpen = () => {
+        clearTimeout(settleTimer);
+        if (avoidsLeader) {
+            settleTimer = ws._applyRef(setTimeout(done, leaderSettleTime));
+        } else {
+            done();
+        }
+    };
+    const onLeaderChange = (event) => {
+        if (event.action === 'disconnect') {
+            clearTimeout(settleTimer);
+        } else {
+            done();
+        }
+    };
+    const onClose = ({ code, reason }) => {
+        fail(new Error(`Connection closed (code ${code}${reason ? `: ${reason}` : ''}) before it was ready`));
+    };
+    
+    const cleanup = () => {
+        clearTimeout(settleTimer);
+        clearTimeout(timeoutTimer);
+        ws.removeEventListener('open', onOpen);
+        ws.removeEventListener('leaderchange', onLeaderChange);
+        ws.removeEventListener('close', onClose);
+    };
+    const done = () => {
+        cleanup();
+        resolve(ws);
+    };
+    const fail = (error) => {
+        cleanup();
+        reject(error);
+    };
+    
+    ws.addEventListener('open', onOpen);
+    ws.addEventListener('leaderchange', onLeaderChange);
+    ws.addEventListener('close', onClose);
+    
+    // With `unref: true`, waiting for the connection does not keep a Node
+    // process alive either
+    if (timeout > 0) {
+        timeoutTimer = ws._applyRef(setTimeout(() => {
+            fail(new Error(`Timed out after ${timeout}ms waiting for the Lamdera connection`));
+            ws.close();
+        }, timeout));
+    }
+});
+
 module.exports = {
     // WebSocket client
     LamderaWebSocket,
     createLamderaWebSocket,
+    connectLamdera,
 
     // Session management
     generateSessionId,
+    validateSessionId,
     createSessionCookie,
     extractSessionFromCookie,
     getBrowserCookie,
+    getBrowserSessionId,
+    mergeSetCookie,
+    createMemorySessionStore,
 
     // Wire3 integer encoding/decoding
     signedToUnsigned,
@@ -765,16 +1595,60 @@ module.exports = {
     encodeString,
     decodeString,
 
+    // Wire3 core type encoding/decoding
+    compareComparable,
+    encodeBool,
+    decodeBool,
+    encodeFloat,
+    decodeFloat,
+    encodeChar,
+    decodeChar,
+    encodeUnit,
+    decodeUnit,
+    encodeMaybe,
+    decodeMaybe,
+    encodeResult,
+    decodeResult,
+    encodeList,
+    decodeList,
+    encodeArray,
+    decodeArray,
+    encodeTuple,
+    decodeTuple,
+    encodeDict,
+    decodeDict,
+    encodeSet,
+    decodeSet,
+    encodeRecord,
+    decodeRecord,
+
     // Message encoding (DU variant + payload)
     encodeMessage,
     decodeMessage,
 
+    // Codec combinators
+    W,
+
+    // Outbox storage
+    createMemoryOutboxStorage,
+    createIndexedDbOutboxStorage,
+
     // Transport layer
+    VariantRegistry,
+    createVariantRegistry,
     createTransportMessage,
     parseTransportMessage,
 
     // Utilities
     bufferToHex,
+    concatBytes,
+    bytesToBase64,
+    base64ToBytes,
+
+    // Close reasons the client sets itself
+    CLOSE_REASON_CLIENT,
+    CLOSE_REASON_LEADER_AVOIDANCE,
+    CLOSE_REASON_MAX_RECONNECTS,
 
     // Constants (useful for testing)
     WIRE3_ONE_BYTE_MAX,
@@ -0,0 +1,71 @@
+import { Codec, VariantRegistry, VariantRegistrySource, TransportMessage } from './index';
+
+interface LamderaMockServerOptions {
+  port?: number;
+  host?: string;
+  toBackend?: VariantRegistrySource;
+  debug?: boolean;
+}
+
+interface ReceivedMessage {
+  client: MockClient;
+  variant: string | number;
+  value: any;
+}
+
+type ToBackendHandler = (value: any, client: MockClient, message: ReceivedMessage) => void;
+
+declare class MockClient {
+  /** null for clients of createRpcServer. */
+  server: LamderaMockServer | null;
+  /** The `ws` socket of the connection. */
+  socket: any;
+  sessionId: string;
+  clientId: string;
+
+  send(message: string | Uint8Array, duVariant?: number): void;
+  sendTyped<T>(codec: Codec<T>, value: T): void;
+  sendRaw(frame: string | object): void;
+  /** Stop reading from the socket, simulating a half-open connection. */
+  pause(): void;
+  resume(): void;
+  close(code?: number, reason?: string): void;
+}
+
+declare class LamderaMockServer {
+  port: number;
+  host: string;
+  readonly url: string;
+  toBackend: VariantRegistry | null;
+  debug: boolean;
+  clients: Map<string, MockClient>;
+  leaderId: string | null;
+  received: Array<ReceivedMessage | (TransportMessage & { client: MockClient })>;
+
+  onconnection: ((client: MockClient) => void) | null;
+  ondisconnection: ((client: MockClient) => void) | null;
+
+  constructor(options?: LamderaMockServerOptions);
+
+  listen(): Promise<string>;
+  handle(variant: string | number, handler: ToBackendHandler): this;
+  elect(leader?: MockClient | string | null): void;
+  broadcast(message: string | Uint8Array, duVariant?: number): void;
+  close(): Promise<void>;
+}
+
+/** Perform the Lamdera handshake on a `ws` connection and return its client. */
+declare function acceptLamderaClient(server: LamderaMockServer | null, socket: any, request: { headers?: { cookie?: string } } | undefined, clientId: string): MockClient;
+declare function createToFrontendMessage(sessionId: string, clientId: string, message: string | Uint8Array, duVariant?: number): string;
+
+export {
+  LamderaMockServer,
+  MockClient,
+  acceptLamderaClient,
+  createToFrontendMessage,
+
+  // Types
+  LamderaMockServerOptions,
+  ReceivedMessage,
+  ToBackendHandler
+};
@@ -0,0 +1,253 @@
+// ============================================================================
+// Lamdera Mock Server
+// ============================================================================
+//
+// A stand-in for the `lamdera live` websocket endpoint (`/_w`) so clients
+// can be exercised without a running Lamdera app:
+//
+//   const server = new LamderaMockServer();
+//   await server.listen();
+//
+//   server.handle(0, (text, client) => client.send(`echo: ${text}`));
+//   server.onconnection = (client) => server.elect('someone-else');
+//
+//   const ws = new LamderaWebSocket(server.url);
+//
+// Node only: the `ws` package is loaded when the server starts listening.
+
+const { DEFAULT_DU_VARIANT } = require('./wire3.js');
+const {
+    createTransportMessage,
+    createVariantRegistry,
+    extractSessionFromCookie,
+    generateSessionId,
+    parseTransportMessage
+} = require('./index.js');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PATH = '/_w';
+
+const getWebSocketServerImpl = async () => {
+    try {
+        const ws = await import('ws');
+        return ws.WebSocketServer || (ws.default || ws).Server;
+    } catch (e) {
+        throw new Error('LamderaMockServer requires the "ws" package.');
+    }
+};
+
+const createToFrontendMessage = (sessionId, clientId, message, duVariant = DEFAULT_DU_VARIANT) =>
+    createTransportMessage(sessionId, clientId, message, duVariant, 'ToFrontend');
+
+/**
+ * One connected frontend, as seen by the mock backend.
+ */
+class MockClient {
+    // `server` is null for clients of createRpcServer
+    constructor(server, socket, sessionId, clientId) {
+        this.server = server;
+        this.socket = socket;
+        this.sessionId = sessionId;
+        this.clientId = clientId;
+    }
+
+    /**
+     * Send a string (or Wire3 payload bytes) as ToFrontend `duVariant`.
+     */
+    send(message, duVariant = DEFAULT_DU_VARIANT) {
+        this.socket.send(createToFrontendMessage(this.sessionId, this.clientId, message, duVariant));
+    }
+
+    /**
+     * Encode `value` with `codec` and send it; custom-type codecs carry their own tag.
+     */
+    sendTyped(codec, value) {
+        const encoded = codec.encode(value);
+
+        if (codec.variants) {
+            this.send(encoded.subarray(1), encoded[0]);
+        } else {
+            this.send(encoded);
+        }
+    }
+
+    /**
+     * Send a raw transport frame, e.g. a malformed one.
+     */
+    sendRaw(frame) {
+        this.socket.send(typeof frame === 'string' ? frame : JSON.stringify(frame));
+    }
+
+    /**
+     * Stop reading from the socket, like a peer that has silently gone away:
+     * messages and pings go unanswered until `resume()`.
+     */
+    pause() {
+        this.socket.pause();
+    }
+
+    resume() {
+        this.socket.resume();
+    }
+
+    close(code, reason) {
+        this.socket.close(code, reason);
+    }
+}
+
+/**
+ * Perform the Lamdera handshake on a `ws` connection: take the session from
+ * the upgrade request's cookie (or start one), announce it with `clientId`
+ * and return the MockClient to talk to it. Shared by LamderaMockServer and
+ * createRpcServer, so both speak the same protocol.
+ */
+const acceptLamderaClient = (server, socket, request, clientId) => {
+    const cookie = (request && request.headers && request.headers.cookie) || '';
+    const client = new MockClient(server, socket, extractSessionFromCookie(cookie) || generateSessionId(), clientId);
+    client.sendRaw({ t: 's', s: client.sessionId, c: clientId });
+    return client;
+};
+
+/**
+ * LamderaMockServer - in-process stand-in for a Lamdera backend
+ *
+ * @param {Object} options - Configuration options
+ * @param {number} [options.port=0] - Port to listen on (0 picks a free port)
+ * @param {string} [options.host='127.0.0.1'] - Interface to bind
+ * @param {Object} [options.toBackend] - ToBackend decoders (W.custom codec or tag -> codec map); by default only the String variant 0x00 is decoded
+ * @param {boolean} [options.debug=false] - Enable debug logging
+ */
+class LamderaMockServer {
+    constructor(options = {}) {
+        this.port = options.port || 0;
+        this.host = options.host || DEFAULT_HOST;
+        this.toBackend = options.toBackend ? createVariantRegistry(options.toBackend) : null;
+        this.debug = options.debug || false;
+
+        this.clients = new Map();
+        this.leaderId = null;
+        this.received = [];
+
+        this.onconnection = null;
+        this.ondisconnection = null;
+
+        this._handlers = new Map();
+        this._server = null;
+        this._clientCount = 0;
+    }
+
+    get url() {
+        return `ws://${this.host}:${this.port}${DEFAULT_PATH}`;
+    }
+
+    _debugLog(...args) {
+        if (this.debug) {
+            console.log('[mock]', ...args);
+        }
+    }
+
+    /**
+     * Start accepting connections. Resolves with the URL clients should use.
+     */
+    async listen() {
+        const WebSocketServer = await getWebSocketServerImpl();
+
+        this._server = new WebSocketServer({ port: this.port, host: this.host });
+        this._server.on('connection', (socket, request) => this._accept(socket, request));
+
+        await new Promise((resolve, reject) => {
+            this._server.once('listening', resolve);
+            this._server.once('error', reject);
+        });
+
+        this.port = this._server.address().port;
+        this._debugLog(`🎧 Listening on ${this.url}`);
+        return this.url;
+    }
+
+    _accept(socket, request) {
+        const client = acceptLamderaClient(this, socket, request, `client-${++this._clientCount}`);
+        const { clientId } = client;
+
+        this.clients.set(clientId, client);
+        this._debugLog(`🤝 ${clientId} connected with session ${client.sessionId}`);
+
+        socket.on('message', (data) => this._receive(client, data.toString()));
+        socket.on('close', () => {
+            this.clients.delete(clientId);
+            this._debugLog(`👋 ${clientId} disconnected`);
+            if (this.ondisconnection) this.ondisconnection(client);
+        });
+
+        if (this.onconnection) this.onconnection(client);
+    }
+
+    _receive(client, data) {
+        const parsed = parseTransportMessage(data, this.toBackend || DEFAULT_DU_VARIANT);
+        this._debugLog(`📨 ${client.clientId}:`, parsed.type, parsed.variant);
+
+        if (parsed.type !== 'message') {
+            this.received.push({ client, ...parsed });
+            return;
+        }
+
+        const message = { client, variant: parsed.variant, value: parsed.value };
+        this.received.push(message);
+
+        const handler = this._handlers.get(parsed.variant) || this._handlers.get('*');
+        if (handler) handler(parsed.value, client, message);
+    }
+
+    /**
+     * Register a handler for a decoded ToBackend variant. `variant` is the
+     * constructor name (with a W.custom `toBackend`), the tag number, or '*'
+     * for anything without a handler of its own.
+     */
+    handle(variant, handler) {
+        this._handlers.set(variant, handler);
+        return this;
+    }
+
+    /**
+     * Broadcast a leader election frame. Pass a client (or its id) to make it
+     * the leader, or nothing to announce that no client leads.
+     */
+    elect(leader = null) {
+        this.leaderId = leader instanceof MockClient ? leader.clientId : leader;
+        this._debugLog(`🗳️ Electing ${this.leaderId}`);
+        for (const client of this.clients.values()) {
+            client.sendRaw({ t: 'e', l: this.leaderId });
+        }
+    }
+
+    /**
+     * Send a string (or payload bytes) to every connected client.
+     */
+    broadcast(message, duVariant = DEFAULT_DU_VARIANT) {
+        for (const client of this.clients.values()) {
+            client.send(message, duVariant);
+        }
+    }
+
+    /**
+     * Disconnect every client and stop listening.
+     */
+    async close() {
+        if (!this._server) return;
+
+        for (const client of this.clients.values()) {
+            client.socket.terminate();
+        }
+
+        const server = this._server;
+        this._server = null;
+        await new Promise(resolve => server.close(() => resolve()));
+    }
+}
+
+module.exports = {
+    LamderaMockServer,
+    MockClient,
+    acceptLamderaClient,
+    createToFrontendMessage
+};
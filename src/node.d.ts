@@ -0,0 +1,30 @@
+import { OutboxStorage, SessionStore } from './index';
+
+interface ResolveProxyOptions {
+  /** Proxy URL to use, or false for none; overrides the environment. */
+  proxy?: string | false | null;
+  /** Hosts that connect directly (default: NO_PROXY). */
+  noProxy?: string | string[];
+  /** Where HTTPS_PROXY, HTTP_PROXY, ALL_PROXY and NO_PROXY are read (default: process.env). */
+  env?: Record<string, string | undefined>;
+}
+
+declare function createFileOutboxStorage(filePath: string): OutboxStorage;
+declare function createFileSessionStore(filePath: string): SessionStore;
+/** An http(s).Agent tunnelling through the HTTP CONNECT proxy at `proxyUrl`, for connections to `targetUrl`'s scheme. */
+declare function createProxyAgent(proxyUrl: string, targetUrl: string): Promise<import('http').Agent>;
+/** The proxy URL to connect to `url` through, or null. */
+declare function resolveProxy(url: string, options?: ResolveProxyOptions): string | null;
+/** Whether createProxyAgent can tunnel through `proxyUrl` (http: or https:). */
+declare function isSupportedProxy(proxyUrl: string): boolean;
+declare function matchesNoProxy(url: string, noProxy: string | string[]): boolean;
+
+export {
+  createFileOutboxStorage,
+  createFileSessionStore,
+  createProxyAgent,
+  resolveProxy,
+  isSupportedProxy,
+  matchesNoProxy,
+  ResolveProxyOptions
+};
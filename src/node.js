@@ -0,0 +1,261 @@
+// ============================================================================
+// Node.js Helpers
+// ============================================================================
+//
+// Helpers that need Node built-ins, kept out of the main entry point so the
+// browser build never references them. Built-ins are imported on first use.
+
+// ============================================================================
+// Storage
+// ============================================================================
+
+/**
+ * Keep the outbox in a JSON-lines file, so messages queued by a long-running
+ * Node process survive a restart:
+ *
+ *   new LamderaWebSocket(url, [], { outboxStorage: createFileOutboxStorage('./outbox.jsonl') });
+ *
+ * Each queued message is appended as one line and each removal as a
+ * `{ "remove": id }` line; `load()` replays the log and rewrites the file
+ * with only the pending messages. A torn last line from a crash is skipped.
+ */
+const createFileOutboxStorage = (filePath) => {
+    const fs = () => import('node:fs/promises');
+    const append = async (line) => (await fs()).appendFile(filePath, JSON.stringify(line) + '\n');
+
+    return {
+        async load() {
+            const { readFile, writeFile } = await fs();
+
+            let content = '';
+            try {
+                content = await readFile(filePath, 'utf8');
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e;
+            }
+
+            const records = new Map();
+            for (const line of content.split('\n')) {
+                if (!line.trim()) continue;
+
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (e) {
+                    continue;
+                }
+
+                if (entry.remove !== undefined) {
+                    records.delete(entry.remove);
+                } else {
+                    records.set(entry.id, entry);
+                }
+            }
+
+            const pending = [...records.values()];
+            await writeFile(filePath, pending.map(record => JSON.stringify(record) + '\n').join(''));
+            return pending;
+        },
+        add: (record) => append(record),
+        remove: (id) => append({ remove: id })
+    };
+};
+
+/**
+ * Keep the session cookie in a JSON file, so a restarted Node process
+ * resumes the same Lamdera session:
+ *
+ *   new LamderaWebSocket(url, [], { sessionStore: createFileSessionStore('./session.json') });
+ *
+ * The file is replaced atomically and is readable by its owner only.
+ */
+const createFileSessionStore = (filePath) => {
+    const fs = () => import('node:fs/promises');
+
+    return {
+        async load() {
+            const { readFile } = await fs();
+
+            try {
+                return JSON.parse(await readFile(filePath, 'utf8')).cookie || null;
+            } catch (e) {
+                if (e.code === 'ENOENT') return null;
+                throw e;
+            }
+        },
+        async save(cookie) {
+            const { writeFile, rename } = await fs();
+            const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+            await writeFile(tmpPath, JSON.stringify({ cookie }) + '\n', { mode: 0o600 });
+            await rename(tmpPath, filePath);
+        }
+    };
+};
+
+// ============================================================================
+// Proxies
+// ============================================================================
+
+const DEFAULT_PORTS = { 'ws:': 80, 'http:': 80, 'wss:': 443, 'https:': 443 };
+const SUPPORTED_PROXY_PROTOCOLS = ['http:', 'https:'];
+
+const isSecureUrl = (url) => url.protocol === 'wss:' || url.protocol === 'https:';
+
+const getPort = (url) => Number(url.port) || DEFAULT_PORTS[url.protocol];
+
+// Lowercase first, as curl does
+const getEnv = (env, name) => env[name.toLowerCase()] || env[name.toUpperCase()] || '';
+
+/**
+ * Whether `url` bypasses the proxy under a NO_PROXY-style list: comma or
+ * space separated hosts, each matching itself and its subdomains
+ * (`example.com`, `.example.com`, `*.example.com`), optionally with a
+ * `:port`, or `*` for every host.
+ */
+const matchesNoProxy = (url, noProxy) => {
+    const target = new URL(url);
+    const host = target.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+    const port = getPort(target);
+
+    return [].concat(noProxy || []).join(',').split(/[\s,]+/).filter(Boolean).some(entry => {
+        if (entry === '*') return true;
+
+        const portMatch = entry.match(/^(.*):(\d+)$/);
+        if (portMatch && Number(portMatch[2]) !== port) return false;
+
+        const pattern = (portMatch ? portMatch[1] : entry).replace(/^\*?\./, '').replace(/^\[(.*)\]$/, '$1').toLowerCase();
+        return host === pattern || host.endsWith(`.${pattern}`);
+    });
+};
+
+/**
+ * The proxy to connect to `url` through, or null. An explicit `proxy` wins
+ * (`false` means none); otherwise HTTPS_PROXY is used for wss: URLs,
+ * HTTP_PROXY for ws: URLs and ALL_PROXY for either. Hosts matching
+ * `noProxy` (default: NO_PROXY) always connect directly.
+ */
+const resolveProxy = (url, { proxy, noProxy, env = process.env } = {}) => {
+    if (proxy === false) return null;
+
+    const resolved = proxy
+        || getEnv(env, isSecureUrl(new URL(url)) ? 'https_proxy' : 'http_proxy')
+        || getEnv(env, 'all_proxy');
+    if (!resolved) return null;
+
+    return matchesNoProxy(url, noProxy === undefined ? getEnv(env, 'no_proxy') : noProxy) ? null : resolved;
+};
+
+/**
+ * Whether `proxyUrl` is a proxy createProxyAgent can tunnel through: an
+ * http: or https: URL.
+ */
+const isSupportedProxy = (proxyUrl) => {
+    try {
+        return SUPPORTED_PROXY_PROTOCOLS.includes(new URL(proxyUrl).protocol);
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * Open a tunnel to `host:port` through an HTTP CONNECT proxy. Calls back
+ * with the proxy socket once the proxy has answered 200.
+ */
+const connectThroughProxy = ({ net, tls }, proxyUrl, host, port, callback) => {
+    const proxy = new URL(proxyUrl);
+    const proxyPort = getPort(proxy);
+    const socket = isSecureUrl(proxy)
+        ? tls.connect({ host: proxy.hostname, port: proxyPort, servername: net.isIP(proxy.hostname) ? undefined : proxy.hostname })
+        : net.connect({ host: proxy.hostname, port: proxyPort });
+
+    const authority = `${host.includes(':') ? `[${host}]` : host}:${port}`;
+    const headers = [`CONNECT ${authority} HTTP/1.1`, `Host: ${authority}`];
+    if (proxy.username) {
+        const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+        headers.push(`Proxy-Authorization: Basic ${Buffer.from(credentials).toString('base64')}`);
+    }
+
+    let response = Buffer.alloc(0);
+    const done = (error) => {
+        socket.removeListener('data', onData);
+        socket.removeListener('error', done);
+        socket.removeListener('end', onEnd);
+        if (error) {
+            socket.destroy();
+            callback(error);
+        } else {
+            callback(null, socket);
+        }
+    };
+    const onEnd = () => done(new Error(`Proxy ${proxy.host} closed the connection before answering CONNECT ${authority}`));
+    const onData = (chunk) => {
+        response = Buffer.concat([response, chunk]);
+        const end = response.indexOf('\r\n\r\n');
+        if (end === -1) return;
+
+        const statusLine = response.subarray(0, response.indexOf('\r\n')).toString();
+        const status = Number(statusLine.split(' ')[1]);
+        const rest = response.subarray(end + 4);
+        if (status !== 200) {
+            done(new Error(`Proxy CONNECT ${authority} failed: ${statusLine.split(' ').slice(1).join(' ')}`));
+            return;
+        }
+        if (rest.length > 0) socket.unshift(rest);
+        done(null);
+    };
+
+    socket.on('data', onData);
+    socket.once('error', done);
+    socket.once('end', onEnd);
+    socket.write(headers.join('\r\n') + '\r\n\r\n');
+};
+
+/**
+ * An `http.Agent` (ws: targets) or `https.Agent` (wss: targets) that
+ * tunnels every connection through the HTTP CONNECT proxy at `proxyUrl`,
+ * for the `agent` option of `ws` or any Node HTTP client:
+ *
+ *   new LamderaWebSocket(url, [], { wsOptions: { agent: await createProxyAgent('http://proxy:3128', url) } });
+ *
+ * LamderaWebSocket does this itself when a proxy is configured (see
+ * resolveProxy). Credentials in the proxy URL are sent as Basic auth.
+ */
+const createProxyAgent = async (proxyUrl, targetUrl) => {
+    const proxy = new URL(proxyUrl);
+    if (!SUPPORTED_PROXY_PROTOCOLS.includes(proxy.protocol)) {
+        throw new Error(`Unsupported proxy protocol "${proxy.protocol}"; expected http: or https: (pass an agent in wsOptions for others, e.g. SOCKS)`);
+    }
+
+    const [http, https, net, tls] = await Promise.all(
+        ['node:http', 'node:https', 'node:net', 'node:tls'].map(name => import(name))
+    );
+    const secure = isSecureUrl(new URL(targetUrl));
+    const BaseAgent = secure ? https.Agent : http.Agent;
+
+    class ProxyAgent extends BaseAgent {
+        createConnection(options, callback) {
+            connectThroughProxy({ net, tls }, proxyUrl, options.host, options.port, (error, socket) => {
+                if (error) {
+                    callback(error);
+                } else if (secure) {
+                    const servername = options.servername || (net.isIP(options.host) ? undefined : options.host);
+                    callback(null, tls.connect({ ...options, socket, servername }));
+                } else {
+                    callback(null, socket);
+                }
+            });
+        }
+    }
+
+    return new ProxyAgent();
+};
+
+module.exports = {
+    createFileOutboxStorage,
+    createFileSessionStore,
+    createProxyAgent,
+    resolveProxy,
+    isSupportedProxy,
+    matchesNoProxy
+};
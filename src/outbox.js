@@ -0,0 +1,295 @@
+// ============================================================================
+// Outbound Message Queue
+// ============================================================================
+//
+// Holds messages sent while the connection is not ready (connecting,
+// reconnecting or retrying to avoid the leader role) and writes them, in
+// order, once a handshake completes. Messages are kept unframed: the
+// transport frame is built at flush time with the session and connection
+// id of the connection that actually carries it.
+//
+// Queued messages are also written to an outbox storage adapter so they
+// can be replayed after a restart. An adapter is any object with
+//
+//   load()       -> Promise<record[]>  pending records, oldest first
+//   add(record)  -> Promise            persist a newly queued message
+//   remove(id)   -> Promise            forget a sent, dropped or expired message
+//
+// where a record is `{ id, duVariant, expiresAt, text }` or, for binary
+// payloads, `{ id, duVariant, expiresAt, bytes }` with base64 bytes.
+
+const { bytesToBase64, base64ToBytes } = require('./wire3.js');
+
+const DEFAULT_QUEUE_MAX_SIZE = 1000;
+const QUEUE_OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'error'];
+const DEFAULT_INDEXED_DB_NAME = 'lamdera-websocket';
+const DEFAULT_INDEXED_DB_STORE = 'outbox';
+
+// Ids sort in creation order, so adapters keyed by id load oldest first
+let entryCount = 0;
+const createEntryId = () =>
+    `${Date.now().toString(36).padStart(9, '0')}-${(entryCount++ % 1e6).toString(36).padStart(4, '0')}-${Math.random().toString(36).slice(2, 8)}`;
+
+const toRecord = ({ id, message, duVariant, expiresAt }) => (
+    typeof message === 'string'
+        ? { id, duVariant, expiresAt, text: message }
+        : { id, duVariant, expiresAt, bytes: bytesToBase64(message) }
+);
+
+const fromRecord = ({ id, duVariant, expiresAt, text, bytes }) => ({
+    id,
+    duVariant,
+    expiresAt,
+    message: text !== undefined ? text : base64ToBytes(bytes),
+    description: `restored message ${id}`
+});
+
+// ============================================================================
+// Storage Adapters
+// ============================================================================
+
+/**
+ * Keep the outbox in memory only (the default): nothing survives a restart,
+ * but one instance can be shared by sockets created one after another.
+ */
+const createMemoryOutboxStorage = () => {
+    const records = new Map();
+    return {
+        load: async () => [...records.values()],
+        add: async (record) => { records.set(record.id, record); },
+        remove: async (id) => { records.delete(id); }
+    };
+};
+
+/**
+ * Keep the outbox in an IndexedDB object store (browsers), so queued
+ * messages survive closing the tab.
+ */
+const createIndexedDbOutboxStorage = ({ databaseName = DEFAULT_INDEXED_DB_NAME, storeName = DEFAULT_INDEXED_DB_STORE } = {}) => {
+    let database = null;
+
+    const open = () => database || (database = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this environment'));
+            return;
+        }
+        const request = indexedDB.open(databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName, { keyPath: 'id' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }));
+
+    const run = async (mode, operation) => {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    };
+
+    return {
+        load: () => run('readonly', store => store.getAll()),
+        add: (record) => run('readwrite', store => store.put(record)),
+        remove: (id) => run('readwrite', store => store.delete(id))
+    };
+};
+
+// ============================================================================
+// Queue
+// ============================================================================
+
+/**
+ * OutboundQueue - bounded FIFO of messages awaiting a connection
+ *
+ * @param {Object} options - Configuration options
+ * @param {number} [options.maxSize=1000] - Maximum number of queued messages
+ * @param {number} [options.ttl=0] - Default time-to-live in ms for a queued message (0 = no expiry)
+ * @param {string} [options.overflow='drop-oldest'] - When full: 'drop-oldest', 'drop-newest' or 'error'
+ * @param {Object} [options.storage] - Outbox storage adapter (in-memory by default)
+ */
+class OutboundQueue {
+    constructor(options = {}) {
+        this.maxSize = options.maxSize || DEFAULT_QUEUE_MAX_SIZE;
+        this.ttl = options.ttl || 0;
+        this.overflow = options.overflow || 'drop-oldest';
+
+        if (!QUEUE_OVERFLOW_POLICIES.includes(this.overflow)) {
+            throw new Error(`Unknown queue overflow policy "${this.overflow}"; expected ${QUEUE_OVERFLOW_POLICIES.join(', ')}`);
+        }
+
+        this.storage = options.storage || createMemoryOutboxStorage();
+        this._ref = true;
+        this._entries = [];
+        this._storageOps = Promise.resolve();
+    }
+
+    get length() {
+        return this._entries.length;
+    }
+
+    /**
+     * Queue `{ message, duVariant, description }`. Returns a promise that
+     * resolves once the message is written to a socket and rejects if it is
+     * dropped, expires or the queue is cleared. With the 'error' overflow
+     * policy a full queue throws instead.
+     */
+    enqueue(item, { ttl = this.ttl } = {}) {
+        if (this._entries.length >= this.maxSize) {
+            if (this.overflow === 'error') {
+                throw new Error(`Outbound queue is full (${this.maxSize} messages)`);
+            }
+            if (this.overflow === 'drop-newest') {
+                return settledRejection(new Error(`Outbound queue is full (${this.maxSize} messages); message dropped`));
+            }
+            const oldest = this._entries[0];
+            this._settle(oldest, new Error(`Outbound queue is full (${this.maxSize} messages); oldest message dropped`));
+            this._forget(oldest);
+        }
+
+        const { entry, delivered } = this._createEntry({
+            ...item,
+            id: createEntryId(),
+            expiresAt: ttl > 0 ? Date.now() + ttl : null
+        }, ttl);
+        this._entries.push(entry);
+        this._persist(() => this.storage.add(toRecord(entry)));
+        return delivered;
+    }
+
+    /**
+     * Load messages left in storage by a previous run and put them ahead of
+     * anything queued since. Expired ones are dropped. Resolves with the
+     * number of messages restored.
+     */
+    async restore() {
+        const records = await this.storage.load();
+        const restored = [];
+
+        for (const record of records) {
+            if (record.expiresAt !== null && record.expiresAt !== undefined && record.expiresAt <= Date.now()) {
+                this._persist(() => this.storage.remove(record.id));
+            } else {
+                restored.push(this._createEntry(fromRecord(record)).entry);
+            }
+        }
+
+        this._entries = [...restored, ...this._entries];
+        return restored.length;
+    }
+
+    _createEntry(item, ttl = item.expiresAt - Date.now()) {
+        const entry = { ...item, timer: null, resolve: null, reject: null };
+        const delivered = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+
+        if (entry.expiresAt !== null && entry.expiresAt !== undefined) {
+            entry.timer = setTimeout(() => this._expire(entry, ttl), Math.max(ttl, 0));
+            this._applyRef(entry.timer);
+        }
+
+        return { entry, delivered: handled(delivered) };
+    }
+
+    /**
+     * Whether expiry timers keep a Node process alive (they do by default).
+     */
+    setRef(ref) {
+        this._ref = ref;
+        this._entries.forEach(entry => this._applyRef(entry.timer));
+    }
+
+    _applyRef(timer) {
+        if (timer && typeof timer.unref === 'function') {
+            if (this._ref) {
+                timer.ref();
+            } else {
+                timer.unref();
+            }
+        }
+    }
+
+    _expire(entry, ttl) {
+        this._settle(entry, new Error(`Queued message expired after ${ttl}ms`));
+        this._forget(entry);
+    }
+
+    /**
+     * Write queued messages in order with `write(entry)`. Stops, keeping the
+     * failed message at the front, if `write` throws.
+     */
+    flush(write) {
+        while (this._entries.length > 0) {
+            const entry = this._entries[0];
+            write(entry);
+            this._settle(entry, null);
+            this._forget(entry);
+        }
+    }
+
+    /**
+     * Reject every queued message and empty the queue. Persisted copies stay
+     * in storage, so they are replayed by the next `restore()`, unless
+     * `discard` is set.
+     */
+    clear(error, { discard = false } = {}) {
+        for (const entry of [...this._entries]) {
+            this._settle(entry, error);
+            if (discard) this._forget(entry);
+        }
+    }
+
+    _settle(entry, error) {
+        const index = this._entries.indexOf(entry);
+        if (index === -1) return;
+
+        this._entries.splice(index, 1);
+        clearTimeout(entry.timer);
+
+        if (error) {
+            entry.reject(error);
+        } else {
+            entry.resolve();
+        }
+    }
+
+    _forget(entry) {
+        this._persist(() => this.storage.remove(entry.id));
+    }
+
+    // Storage writes run one at a time, in order, so a remove never
+    // overtakes the add of the same message.
+    _persist(operation) {
+        this._storageOps = this._storageOps
+            .then(operation)
+            .catch(error => console.log('⚠️ Outbox storage error:', error.message));
+    }
+
+    /**
+     * Resolves once every storage write issued so far has finished.
+     */
+    settled() {
+        return this._storageOps;
+    }
+}
+
+// Delivery promises are informational: callers that ignore them must not
+// trigger unhandled-rejection errors, while callers that await still see
+// the rejection.
+const handled = (promise) => {
+    promise.catch(() => {});
+    return promise;
+};
+
+const settledRejection = (error) => handled(Promise.reject(error));
+
+module.exports = {
+    OutboundQueue,
+    createMemoryOutboxStorage,
+    createIndexedDbOutboxStorage,
+    DEFAULT_QUEUE_MAX_SIZE,
+    QUEUE_OVERFLOW_POLICIES
+};
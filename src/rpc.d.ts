@@ -0,0 +1,79 @@
+import { LamderaWebSocket, LamderaWebSocketOptions, MessageEvent, Result } from './index';
+
+interface LamderaRpcClientOptions extends LamderaWebSocketOptions {
+  /** Default call timeout in ms; 0 waits forever. */
+  timeout?: number;
+}
+
+interface CallOptions {
+  timeout?: number;
+}
+
+interface BatchCall {
+  method: string;
+  params?: any;
+  /** Send without an id; the server sends no response. */
+  notify?: boolean;
+}
+
+declare class RpcError extends Error {
+  code: number;
+  data?: any;
+  constructor(code: number, message: string, data?: any);
+}
+
+declare class LamderaRpcClient {
+  ws: LamderaWebSocket;
+  timeout: number;
+
+  onnotification: ((method: string, params: any) => void) | null;
+  onmessage: ((event: MessageEvent) => void) | null;
+
+  constructor(socket: LamderaWebSocket | string, options?: LamderaRpcClientOptions);
+
+  call<T = any>(method: string, params?: any, options?: CallOptions): Promise<T>;
+  notify(method: string, params?: any): Promise<void>;
+  batch(calls: BatchCall[], options?: CallOptions): Promise<Array<Result<RpcError, any> | null>>;
+  close(code?: number, reason?: string): void;
+}
+
+interface RpcContext {
+  sessionId: string;
+  clientId: string;
+  socket: any;
+}
+
+type RpcMethod = (params: any, context: RpcContext) => any;
+
+interface RpcServerOptions {
+  methods: { [method: string]: RpcMethod };
+  /** A `ws` WebSocketServer; every new connection is served. */
+  server?: { on(event: 'connection', listener: (socket: any, request: any) => void): any; off(event: 'connection', listener: (...args: any[]) => void): any };
+  duVariant?: number;
+  debug?: boolean;
+}
+
+interface RpcServer {
+  clients: Map<string, RpcContext>;
+  handle(text: string, context?: Partial<RpcContext>): Promise<string | null>;
+  handleConnection(socket: any, request?: any): void;
+  notify(method: string, params?: any, clientId?: string): void;
+  close(): void;
+}
+
+declare function createRpcServer(options: RpcServerOptions): RpcServer;
+
+export {
+  LamderaRpcClient,
+  RpcError,
+  createRpcServer,
+
+  // Types
+  LamderaRpcClientOptions,
+  CallOptions,
+  BatchCall,
+  RpcContext,
+  RpcMethod,
+  RpcServerOptions,
+  RpcServer
+};
@@ -0,0 +1,399 @@
+// ============================================================================
+// JSON-RPC 2.0 over the String Variant
+// ============================================================================
+//
+// Requests and responses travel as JSON text through the `A00_` String
+// constructors (A00_WebSocketReceive / A00_WebSocketSend):
+//
+//   const rpc = new LamderaRpcClient('ws://localhost:8000/_w');
+//   const user = await rpc.call('getUserData', { id: 42 }, { timeout: 5000 });
+//   rpc.notify('log', ['hello']);
+//   const [a, b] = await rpc.batch([{ method: 'add', params: [1, 2] }, { method: 'ping' }]);
+//
+// createRpcServer is the other end, for JS stand-ins of a Lamdera backend:
+//
+//   const wss = new WebSocketServer({ port: 8000 });
+//   createRpcServer({ server: wss, methods: { getUserData: ({ id }) => users[id] } });
+
+const { DEFAULT_DU_VARIANT } = require('./wire3.js');
+const {
+    LamderaWebSocket,
+    parseTransportMessage
+} = require('./index.js');
+const { acceptLamderaClient } = require('./mock-server.js');
+
+const JSON_RPC_VERSION = '2.0';
+const DEFAULT_RPC_TIMEOUT = 30000;
+
+// Error codes reserved by the JSON-RPC 2.0 specification
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INTERNAL_ERROR = -32603;
+
+/**
+ * An error response from the server: `code`, `message` and optional `data`
+ * as sent in the JSON-RPC `error` member.
+ */
+class RpcError extends Error {
+    constructor(code, message, data) {
+        super(message);
+        this.name = 'RpcError';
+        this.code = code;
+        this.data = data;
+    }
+}
+
+const isResponse = (message) =>
+    message !== null && typeof message === 'object' && message.jsonrpc === JSON_RPC_VERSION &&
+    ('result' in message || 'error' in message);
+
+const isNotification = (message) =>
+    message !== null && typeof message === 'object' && message.jsonrpc === JSON_RPC_VERSION &&
+    typeof message.method === 'string' && message.id === undefined;
+
+const createRequest = (method, params, id) => {
+    const request = { jsonrpc: JSON_RPC_VERSION, method };
+    if (params !== undefined) request.params = params;
+    if (id !== undefined) request.id = id;
+    return request;
+};
+
+const toRpcError = ({ code, message, data }) => new RpcError(code, message, data);
+
+/**
+ * LamderaRpcClient - request/response calls over a LamderaWebSocket
+ *
+ * Listens on the socket without touching its own handlers. Server-initiated
+ * notifications go to `onnotification`, anything that is not JSON-RPC to
+ * `onmessage`.
+ *
+ * @param {LamderaWebSocket|string} socket - An existing LamderaWebSocket, or a URL to open one
+ * @param {Object} options - Configuration options (also passed to LamderaWebSocket when given a URL)
+ * @param {number} [options.timeout=30000] - Default call timeout in ms (0 = wait forever)
+ */
+class LamderaRpcClient {
+    constructor(socket, options = {}) {
+        this.ws = typeof socket === 'string' ? new LamderaWebSocket(socket, [], options) : socket;
+        this.timeout = options.timeout === undefined ? DEFAULT_RPC_TIMEOUT : options.timeout;
+
+        this.onnotification = null;
+        this.onmessage = null;
+
+        this._nextId = 1;
+        this._pending = new Map();
+
+        this._attach();
+    }
+
+    _attach() {
+        this.ws.addEventListener('message', (event) => {
+            if (!this._receive(event) && this.onmessage) this.onmessage(event);
+        });
+
+        // A reconnect (e.g. after leader avoidance) gets a new client id;
+        // responses to requests sent on the old connection will never arrive.
+        this.ws.addEventListener('open', () => {
+            this._rejectWhere(
+                pending => pending.clientId !== null && pending.clientId !== this.ws.clientId,
+                () => new Error('Connection was replaced before a response arrived')
+            );
+        });
+
+        this.ws.addEventListener('close', (event) => {
+            this._rejectAll(new Error(`Connection closed (code ${event.code})`));
+        });
+
+        this.ws.addEventListener('leaderdisconnect', () => {
+            this._rejectAll(new Error('Connection gave up avoiding the leader role'));
+        });
+    }
+
+    /**
+     * Handle an incoming message; returns false when it is not JSON-RPC.
+     */
+    _receive(event) {
+        // `text` is the String-variant payload even when `toFrontend` decodes
+        // it to something else
+        if (typeof event.text !== 'string') return false;
+
+        let message;
+        try {
+            message = JSON.parse(event.text);
+        } catch (e) {
+            return false;
+        }
+
+        const messages = Array.isArray(message) ? message : [message];
+        if (messages.length === 0 || !messages.every(m => isResponse(m) || isNotification(m))) {
+            return false;
+        }
+
+        for (const m of messages) {
+            if (isNotification(m)) {
+                if (this.onnotification) this.onnotification(m.method, m.params);
+            } else {
+                this._settle(m);
+            }
+        }
+        return true;
+    }
+
+    _settle(response) {
+        const pending = this._pending.get(response.id);
+        if (!pending) return;
+
+        this._pending.delete(response.id);
+        clearTimeout(pending.timer);
+
+        if (response.error) {
+            pending.reject(toRpcError(response.error));
+        } else {
+            pending.resolve(response.result);
+        }
+    }
+
+    _expect(id, timeout) {
+        return new Promise((resolve, reject) => {
+            const pending = { resolve, reject, clientId: this.ws.clientId, timer: null };
+
+            if (timeout > 0) {
+                pending.timer = this.ws._applyRef(setTimeout(() => {
+                    this._pending.delete(id);
+                    reject(new Error(`RPC call ${id} timed out after ${timeout}ms`));
+                }, timeout));
+            }
+
+            this._pending.set(id, pending);
+        });
+    }
+
+    _rejectWhere(predicate, makeError) {
+        for (const [id, pending] of this._pending) {
+            if (predicate(pending, id)) {
+                this._pending.delete(id);
+                clearTimeout(pending.timer);
+                pending.reject(makeError(id));
+            }
+        }
+    }
+
+    _rejectAll(error) {
+        this._rejectWhere(() => true, () => error);
+    }
+
+    /**
+     * Send a request or batch; if it cannot be sent, or is later dropped
+     * from the socket's outbound queue, its calls reject with the reason.
+     */
+    _sendRequests(payload, ids) {
+        const fail = (error) => this._rejectWhere((_, id) => ids.includes(id), () => error);
+        try {
+            Promise.resolve(this.ws.send(JSON.stringify(payload))).catch(fail);
+        } catch (error) {
+            fail(error);
+        }
+    }
+
+    /**
+     * Call `method` and resolve with its result. Rejects with an RpcError
+     * for error responses, or an Error on timeout or disconnect.
+     */
+    call(method, params, { timeout = this.timeout } = {}) {
+        const id = this._nextId++;
+        const response = this._expect(id, timeout);
+        this._sendRequests(createRequest(method, params, id), [id]);
+        return response;
+    }
+
+    /**
+     * Send a notification: a request without an id, which gets no response.
+     * Returns the socket's delivery promise.
+     */
+    notify(method, params) {
+        return this.ws.send(JSON.stringify(createRequest(method, params)));
+    }
+
+    /**
+     * Send several requests in one JSON-RPC batch. Each entry is
+     * `{ method, params, notify }`; resolves with one Result per entry, in
+     * order: `{ ok: true, value }`, `{ ok: false, error }` (an RpcError),
+     * or `null` for notifications. Rejects on timeout or disconnect.
+     */
+    batch(calls, { timeout = this.timeout } = {}) {
+        const requests = calls.map(({ method, params, notify }) =>
+            createRequest(method, params, notify ? undefined : this._nextId++));
+        const ids = requests.filter(r => r.id !== undefined).map(r => r.id);
+
+        const expected = ids.map(id => this._expect(id, timeout).then(
+            value => ({ ok: true, value }),
+            error => {
+                if (error instanceof RpcError) return { ok: false, error };
+                throw error;
+            }
+        ));
+
+        if (ids.length === 0) {
+            return new Promise(resolve => resolve(this.ws.send(JSON.stringify(requests)))).then(() => requests.map(() => null));
+        }
+        this._sendRequests(requests, ids);
+
+        return Promise.all(expected).then(settled => {
+            const byId = new Map(ids.map((id, i) => [id, settled[i]]));
+            return requests.map(r => (r.id === undefined ? null : byId.get(r.id)));
+        });
+    }
+
+    /**
+     * Reject every outstanding call and close the socket.
+     */
+    close(code, reason) {
+        this._rejectAll(new Error('RPC client closed'));
+        this.ws.close(code, reason);
+    }
+}
+
+// ============================================================================
+// RPC Server
+// ============================================================================
+
+const isRequest = (message) =>
+    message !== null && typeof message === 'object' && !Array.isArray(message) &&
+    message.jsonrpc === JSON_RPC_VERSION && typeof message.method === 'string';
+
+const errorResponse = (id, code, message, data) => {
+    const error = data === undefined ? { code, message } : { code, message, data };
+    return { jsonrpc: JSON_RPC_VERSION, id, error };
+};
+
+/**
+ * Answer JSON-RPC requests arriving as ToBackend frames on the String
+ * variant, the way a Lamdera backend following the README convention does.
+ *
+ * Each method is `(params, context) => result` (or a Promise of one), where
+ * `context` is `{ sessionId, clientId, socket }`. Throw an RpcError to choose
+ * the error code; any other exception becomes an Internal error (-32603).
+ *
+ * @param {Object} options - Configuration options
+ * @param {Object} options.methods - Method name -> implementation
+ * @param {Object} [options.server] - A `ws` WebSocketServer to attach to
+ * @param {number} [options.duVariant=0x00] - DU variant of the String constructors
+ * @param {boolean} [options.debug=false] - Enable debug logging
+ */
+const createRpcServer = ({ methods, server, duVariant = DEFAULT_DU_VARIANT, debug = false }) => {
+    const clients = new Map();
+    let clientCount = 0;
+
+    const debugLog = (...args) => {
+        if (debug) console.log('[rpc]', ...args);
+    };
+
+    const invoke = async (request, context) => {
+        if (!isRequest(request)) {
+            return errorResponse(null, INVALID_REQUEST, 'Invalid Request');
+        }
+
+        const isNotificationRequest = request.id === undefined;
+        const method = Object.prototype.hasOwnProperty.call(methods, request.method) ? methods[request.method] : null;
+
+        let response;
+        if (!method) {
+            response = errorResponse(request.id, METHOD_NOT_FOUND, 'Method not found');
+        } else {
+            try {
+                const result = await method(request.params, context);
+                response = { jsonrpc: JSON_RPC_VERSION, id: request.id, result: result === undefined ? null : result };
+                // A result JSON cannot carry (a BigInt, a cycle) fails this request, not the batch
+                JSON.stringify(response);
+            } catch (error) {
+                response = error instanceof RpcError
+                    ? errorResponse(request.id, error.code, error.message, error.data)
+                    : errorResponse(request.id, INTERNAL_ERROR, error.message || 'Internal error');
+            }
+        }
+
+        return isNotificationRequest ? null : response;
+    };
+
+    /**
+     * Process one JSON-RPC message (a request or a batch); resolves with the
+     * response text, or null when nothing should be sent back.
+     */
+    const handle = async (text, context = {}) => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            return JSON.stringify(errorResponse(null, PARSE_ERROR, 'Parse error'));
+        }
+
+        if (!Array.isArray(message)) {
+            const response = await invoke(message, context);
+            return response ? JSON.stringify(response) : null;
+        }
+
+        if (message.length === 0) {
+            return JSON.stringify(errorResponse(null, INVALID_REQUEST, 'Invalid Request'));
+        }
+
+        const responses = (await Promise.all(message.map(request => invoke(request, context)))).filter(Boolean);
+        return responses.length > 0 ? JSON.stringify(responses) : null;
+    };
+
+    /**
+     * Serve one `ws` connection: perform the Lamdera handshake, then answer
+     * every String-variant frame. Other frames are ignored.
+     */
+    const handleConnection = (socket, request) => {
+        const client = acceptLamderaClient(null, socket, request, `rpc-client-${++clientCount}`);
+        clients.set(client.clientId, client);
+        debugLog(`🤝 ${client.clientId} connected`);
+
+        socket.on('message', async (data) => {
+            const parsed = parseTransportMessage(data.toString(), duVariant);
+            if (parsed.type !== 'message') {
+                debugLog(`⚠️ Ignoring ${parsed.type} frame from ${client.clientId}`);
+                return;
+            }
+
+            let response;
+            try {
+                response = await handle(parsed.data, client);
+            } catch (error) {
+                debugLog(`❌ Failed to answer ${client.clientId}:`, error.message);
+                response = JSON.stringify(errorResponse(null, INTERNAL_ERROR, 'Internal error'));
+            }
+            if (response !== null && clients.has(client.clientId)) client.send(response, duVariant);
+        });
+        socket.on('close', () => clients.delete(client.clientId));
+    };
+
+    /**
+     * Send a notification to one client (by id) or, without one, to all.
+     */
+    const notify = (method, params, clientId) => {
+        const text = JSON.stringify(createRequest(method, params));
+        const targets = clientId === undefined ? [...clients.values()] : [clients.get(clientId)].filter(Boolean);
+        for (const client of targets) client.send(text, duVariant);
+    };
+
+    if (server) server.on('connection', handleConnection);
+
+    return {
+        clients,
+        handle,
+        handleConnection,
+        notify,
+        close: () => {
+            if (server) server.off('connection', handleConnection);
+            for (const client of clients.values()) client.socket.close();
+            clients.clear();
+        }
+    };
+};
+
+module.exports = {
+    LamderaRpcClient,
+    RpcError,
+    createRpcServer
+};
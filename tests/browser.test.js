@@ -0,0 +1,134 @@
+/**
+ * Browser compatibility tests
+ *
+ * Loads the codec modules into a bare VM context that only has the globals
+ * a browser, Deno or Cloudflare Worker provides (no Buffer, no require of
+ * Node built-ins) and checks that they produce the same bytes as in Node.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const node = require('../src/index.js');
+
+const WEB_GLOBALS = { TextEncoder, TextDecoder, atob, btoa, Uint8Array, DataView, ArrayBuffer, EventTarget, Event, crypto: globalThis.crypto };
+
+/**
+ * Evaluate src modules in a context without Buffer. Relative requires are
+ * resolved against the same context; anything else is unavailable.
+ */
+const loadInBrowserContext = (globals = {}) => {
+    const context = vm.createContext({ ...WEB_GLOBALS, ...globals });
+    const cache = new Map();
+
+    const load = (file) => {
+        if (cache.has(file)) return cache.get(file).exports;
+
+        const module = { exports: {} };
+        cache.set(file, module);
+        const source = fs.readFileSync(path.join(__dirname, '..', 'src', file), 'utf8');
+        const requireInContext = (specifier) => {
+            if (!specifier.startsWith('./')) {
+                throw new Error(`Module "${specifier}" is not available in the browser`);
+            }
+            return load(specifier.slice(2));
+        };
+        vm.runInContext(`(function (module, exports, require) {\n${source}\n})`, context)(module, module.exports, requireInContext);
+        return module.exports;
+    };
+
+    return load('index.js');
+};
+
+describe('Browser Compatibility', () => {
+    const browser = loadInBrowserContext();
+
+    test('Specific: the library loads without Buffer', () => {
+        assert.strictEqual(typeof browser.LamderaWebSocket, 'function');
+        assert.strictEqual(typeof browser.W.custom, 'function');
+    });
+
+    test('Property: browser and Node produce identical bytes', () => {
+        const codec = browser.W.tuple(
+            browser.W.string,
+            browser.W.float,
+            browser.W.list(browser.W.maybe(browser.W.int))
+        );
+        fc.assert(
+            fc.property(fc.fullUnicodeString(), fc.double({ noNaN: true }), fc.array(fc.option(fc.integer(), { nil: null })), (s, f, xs) => {
+                const encoded = codec.encode([s, f, xs]);
+                const nodeEncoded = node.W.tuple(node.W.string, node.W.float, node.W.list(node.W.maybe(node.W.int))).encode([s, f, xs]);
+                return Buffer.compare(Buffer.from(encoded), Buffer.from(nodeEncoded)) === 0;
+            }),
+            { numRuns: 500 }
+        );
+    });
+
+    test('Property: transport frames round-trip through base64 without Buffer', () => {
+        fc.assert(
+            fc.property(fc.fullUnicodeString(), (s) => {
+                const transport = browser.createTransportMessage('sid', 'cid', s);
+                assert.strictEqual(transport, node.createTransportMessage('sid', 'cid', s));
+                const parsed = browser.parseTransportMessage(transport);
+                return parsed.type === 'message' && parsed.data === s;
+            }),
+            { numRuns: 500 }
+        );
+    });
+
+    test('Specific: session IDs come from crypto.getRandomValues', () => {
+        assert.ok(browser.validateSessionId(browser.generateSessionId()));
+    });
+
+    test('Specific: the global WebSocket is used without window or ws', async () => {
+        const constructed = [];
+        class GlobalWebSocket {
+            constructor(...args) {
+                constructed.push(args);
+            }
+            close() {}
+        }
+        const runtime = loadInBrowserContext({ WebSocket: GlobalWebSocket, setTimeout, clearTimeout, setInterval, clearInterval, queueMicrotask, console });
+
+        const ws = new runtime.LamderaWebSocket('wss://example.lamdera.app/_w', [], { initialDelayMax: 1 });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        ws.close();
+
+        assert.deepStrictEqual(constructed, [['wss://example.lamdera.app/_w', [], undefined]]);
+    });
+
+    test('Specific: large values use the float64 marker via DataView', () => {
+        const encoded = browser.encodeUnsignedInt(2 ** 40);
+        assert.strictEqual(encoded.length, 9);
+        assert.strictEqual(browser.decodeUnsignedInt(encoded, 0).value, 2 ** 40);
+    });
+
+    test('Specific: payloads larger than one base64 chunk encode correctly', () => {
+        const bytes = new Uint8Array(100000).map((_, i) => i % 256);
+        const base64 = browser.bytesToBase64(bytes);
+        assert.strictEqual(base64, Buffer.from(bytes).toString('base64'));
+        assert.ok(Buffer.from(browser.base64ToBytes(base64)).equals(Buffer.from(bytes)));
+    });
+
+    test('Specific: bundlers are told not to follow Node-only imports', () => {
+        const source = fs.readFileSync(path.join(__dirname, '..', 'src', 'index.js'), 'utf8');
+        const { browser: browserField } = require('../package.json');
+        const imported = [...source.matchAll(/import\('\.\/([\w-]+)\.js'\)/g)].map(match => match[1]);
+
+        assert.deepStrictEqual(imported, ['node']);
+        for (const name of imported) {
+            assert.strictEqual(browserField[`./dist/${name}.js`], false);
+            assert.strictEqual(browserField[`./dist/${name}.mjs`], false);
+        }
+    });
+
+    test('Specific: ArrayBuffer frames are accepted', () => {
+        const transport = node.createTransportMessage('sid', 'cid', 'hello');
+        const parsed = node.parseTransportMessage(new TextEncoder().encode(transport).buffer);
+        assert.strictEqual(parsed.data, 'hello');
+    });
+});
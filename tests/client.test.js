@@ -0,0 +1,972 @@
+/**
+ * End-to-end tests for LamderaWebSocket against LamderaMockServer
+ *
+ * Everything runs on localhost; no Lamdera app is needed.
+ */
+
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fc = require('fast-check');
+
+const {
+    LamderaWebSocket,
+    W,
+    connectLamdera,
+    createMemoryOutboxStorage,
+    createMemorySessionStore,
+    mergeSetCookie,
+    generateSessionId,
+    validateSessionId,
+    extractSessionFromCookie,
+    CLOSE_REASON_CLIENT,
+    CLOSE_REASON_LEADER_AVOIDANCE,
+    CLOSE_REASON_MAX_RECONNECTS
+} = require('../src/index.js');
+const { LamderaMockServer } = require('../src/mock-server.js');
+const { OutboundQueue } = require('../src/outbox.js');
+const { WebSocket, WebSocketServer } = require('ws');
+const { execFile } = require('node:child_process');
+const path = require('node:path');
+
+const FAST = { initialDelayMax: 1, retryBaseDelay: 1, retryMaxDelay: 20 };
+
+const waitFor = (target, handler) => new Promise(resolve => {
+    target[handler] = resolve;
+});
+
+const quietly = async (fn) => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+    }
+};
+
+describe('LamderaWebSocket end to end', () => {
+    let server;
+    const sockets = [];
+
+    const connect = (options = {}) => {
+        const ws = new LamderaWebSocket(server.url, [], { ...FAST, ...options });
+        sockets.push(ws);
+        return ws;
+    };
+
+    before(async () => {
+        server = new LamderaMockServer();
+        await server.listen();
+    });
+
+    afterEach(() => {
+        for (const ws of sockets.splice(0)) {
+            if (ws.readyState !== LamderaWebSocket.CLOSED) ws.close();
+        }
+        server.onconnection = null;
+        server.received = [];
+    });
+
+    after(() => server.close());
+
+    test('Specific: handshake assigns a client id and keeps the session', async () => {
+        const ws = connect({ sessionId: 'session-under-test' });
+        await waitFor(ws, 'onopen');
+
+        assert.strictEqual(ws.readyState, LamderaWebSocket.OPEN);
+        const client = server.clients.get(ws.clientId);
+        assert.ok(client);
+        assert.strictEqual(client.sessionId, 'session-under-test');
+    });
+
+    test('Specific: strings round-trip through a handler', async () => {
+        server.handle(0, (text, client) => client.send(`echo: ${text}`));
+        const ws = connect();
+        await waitFor(ws, 'onopen');
+
+        const reply = waitFor(ws, 'onmessage');
+        ws.send('hello λ');
+        const event = await reply;
+        assert.strictEqual(event.data, 'echo: hello λ');
+        assert.strictEqual(event.variant, 0);
+    });
+
+    test('Specific: listeners and on* handlers all receive events', async () => {
+        const ws = connect();
+        const seen = [];
+        for (const type of ['open', 'setup', 'message', 'leaderchange', 'close']) {
+            ws.addEventListener(type, (event) => seen.push([type, event.target === ws]));
+        }
+        const removed = () => seen.push(['removed']);
+        ws.addEventListener('message', removed);
+        ws.removeEventListener('message', removed);
+
+        await waitFor(ws, 'onopen');
+        const handled = waitFor(ws, 'onmessage');
+        const second = new Promise(resolve => ws.addEventListener('message', resolve, { once: true }));
+        const client = server.clients.get(ws.clientId);
+        client.send('for everyone');
+        assert.strictEqual((await handled).data, 'for everyone');
+        assert.strictEqual((await second).data, 'for everyone');
+
+        const elected = new Promise(resolve => ws.addEventListener('leaderchange', resolve));
+        server.elect(null);
+        server.elect('someone-else');
+        assert.strictEqual((await elected).leaderId, 'someone-else');
+
+        const closed = new Promise(resolve => ws.addEventListener('close', resolve));
+        client.close(1000, 'done');
+        const event = await closed;
+        assert.deepStrictEqual([event.code, event.reason, event.wasClean], [1000, 'done', true]);
+        assert.deepStrictEqual(seen, [
+            ['open', true], ['setup', true], ['message', true], ['leaderchange', true], ['close', true]
+        ]);
+    });
+
+    test('Specific: typed variants decode on both sides', async () => {
+        const ToBackend = W.custom([
+            W.variant('A00_WebSocketReceive', W.string),
+            W.variant('Add', W.int, W.int)
+        ]);
+        const ToFrontend = W.custom([
+            W.variant('A00_WebSocketSend', W.string),
+            W.variant('Sum', W.int)
+        ]);
+        const typedServer = new LamderaMockServer({ toBackend: ToBackend });
+        await typedServer.listen();
+        typedServer.handle('Add', ({ args: [a, b] }, client) =>
+            client.sendTyped(ToFrontend, { tag: 'Sum', args: [a + b] }));
+
+        try {
+            const ws = new LamderaWebSocket(typedServer.url, [], { ...FAST, toFrontend: ToFrontend });
+            sockets.push(ws);
+            await waitFor(ws, 'onopen');
+
+            const reply = waitFor(ws, 'onmessage');
+            ws.sendTyped(ToBackend, { tag: 'Add', args: [2, -5] });
+            const event = await reply;
+            assert.strictEqual(event.variant, 'Sum');
+            assert.deepStrictEqual(event.data, { tag: 'Sum', args: [-3] });
+        } finally {
+            for (const ws of sockets.splice(0)) ws.close();
+            await typedServer.close();
+        }
+    });
+
+    test('Specific: frames that cannot be decoded are dispatched as undecodable', async () => {
+        const ws = connect();
+        await waitFor(ws, 'onopen');
+        const messages = [];
+        ws.onmessage = (event) => messages.push(event.data);
+
+        const undecodable = waitFor(ws, 'onundecodable');
+        server.clients.get(ws.clientId).send(new Uint8Array([1, 2]), 5);
+        const event = await undecodable;
+        assert.strictEqual(event.tag, 5);
+        assert.deepStrictEqual([...event.raw], [5, 1, 2]);
+        assert.match(event.error, /variant/);
+        assert.deepStrictEqual(messages, []);
+    });
+
+    test('Specific: another client being elected keeps the connection', async () => {
+        const ws = connect();
+        await waitFor(ws, 'onopen');
+
+        server.elect('someone-else');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.strictEqual(ws.leaderId, 'someone-else');
+        assert.strictEqual(ws.readyState, LamderaWebSocket.OPEN);
+    });
+
+    test('Specific: being elected leader reconnects, keeping the session', async () => {
+        await quietly(async () => {
+            const ws = connect();
+            await waitFor(ws, 'onopen');
+            const firstClient = ws.clientId;
+            const firstSession = ws.sessionId;
+
+            const reopened = waitFor(ws, 'onopen');
+            server.elect(firstClient);
+            await reopened;
+
+            assert.notStrictEqual(ws.clientId, firstClient);
+            assert.strictEqual(ws.sessionId, firstSession);
+        });
+    });
+
+    test('Specific: rotateSessionOnLeaderRetry reconnects with a new session', async () => {
+        await quietly(async () => {
+            const ws = connect({ rotateSessionOnLeaderRetry: true });
+            await waitFor(ws, 'onopen');
+            const firstSession = ws.sessionId;
+
+            const reopened = waitFor(ws, 'onopen');
+            server.elect(ws.clientId);
+            await reopened;
+
+            assert.notStrictEqual(ws.sessionId, firstSession);
+            assert.strictEqual(ws.cookie, `sid=${ws.sessionId}`);
+        });
+    });
+
+    test('Specific: leaderPolicy accept stays connected as leader', async () => {
+        const ws = connect({ leaderPolicy: 'accept' });
+        await waitFor(ws, 'onopen');
+
+        const changed = waitFor(ws, 'onleaderchange');
+        server.elect(ws.clientId);
+        const event = await changed;
+        assert.strictEqual(event.action, 'accept');
+        assert.strictEqual(event.isLeader, true);
+        assert.strictEqual(ws.isLeader, true);
+        assert.strictEqual(ws.readyState, LamderaWebSocket.OPEN);
+    });
+
+    test('Specific: leaderPolicy observe only reports', async () => {
+        const ws = connect({ leaderPolicy: 'observe' });
+        await waitFor(ws, 'onopen');
+
+        const changed = waitFor(ws, 'onleaderchange');
+        server.elect(ws.clientId);
+        const event = await changed;
+        assert.strictEqual(event.action, 'continue');
+        assert.strictEqual(event.leaderId, ws.clientId);
+        assert.strictEqual(ws.readyState, LamderaWebSocket.OPEN);
+    });
+
+    test('Specific: a leaderPolicy callback chooses the action', async () => {
+        const seen = [];
+        const ws = connect({
+            leaderPolicy: (status) => {
+                seen.push(status);
+                return status.newLeader === 'bad-leader' ? 'disconnect' : 'continue';
+            }
+        });
+        await waitFor(ws, 'onopen');
+        const firstClient = ws.clientId;
+
+        const changed = waitFor(ws, 'onleaderchange');
+        server.elect('good-leader');
+        assert.strictEqual((await changed).action, 'continue');
+        assert.deepStrictEqual(seen[0], {
+            previousLeader: null,
+            newLeader: 'good-leader',
+            iAmLeader: false,
+            clientId: firstClient,
+            retryCount: 0
+        });
+
+        await quietly(async () => {
+            const reopened = waitFor(ws, 'onopen');
+            server.elect('bad-leader');
+            await reopened;
+        });
+        assert.notStrictEqual(ws.clientId, firstClient);
+    });
+
+    test('Specific: unknown leader policies are rejected', () => {
+        assert.throws(() => new LamderaWebSocket(server.url, [], { leaderPolicy: 'ignore' }), /Unknown leaderPolicy "ignore"/);
+    });
+
+    test('Specific: an unexpected close reconnects with the same session', async () => {
+        await quietly(async () => {
+            const ws = connect({ sessionId: 'reconnecting-session' });
+            await waitFor(ws, 'onopen');
+            const firstClient = ws.clientId;
+
+            const reconnecting = waitFor(ws, 'onreconnecting');
+            const reconnected = waitFor(ws, 'onreconnected');
+            server.clients.get(firstClient).close(1012, 'service restart');
+
+            const lost = await reconnecting;
+            assert.strictEqual(lost.code, 1012);
+            assert.strictEqual(lost.attempt, 1);
+            assert.strictEqual(ws.readyState, LamderaWebSocket.CONNECTING);
+
+            const back = await reconnected;
+            assert.strictEqual(back.attempts, 1);
+            assert.notStrictEqual(ws.clientId, firstClient);
+            assert.strictEqual(ws.sessionId, 'reconnecting-session');
+            assert.strictEqual(server.clients.get(ws.clientId).sessionId, 'reconnecting-session');
+        });
+    });
+
+    test('Specific: non-retryable closes and reconnect: false end the connection', async () => {
+        const normal = connect();
+        await waitFor(normal, 'onopen');
+        const normalClosed = waitFor(normal, 'onclose');
+        server.clients.get(normal.clientId).close(1000, 'bye');
+        assert.strictEqual((await normalClosed).code, 1000);
+        assert.strictEqual(normal.readyState, LamderaWebSocket.CLOSED);
+
+        const disabled = connect({ reconnect: false });
+        await waitFor(disabled, 'onopen');
+        const disabledClosed = waitFor(disabled, 'onclose');
+        server.clients.get(disabled.clientId).close(1012, 'service restart');
+        assert.strictEqual((await disabledClosed).code, 1012);
+    });
+
+    test('Specific: a reconnect callback decides per close event', async () => {
+        const decided = [];
+        const ws = connect({
+            reconnect: (event) => {
+                decided.push(event.code);
+                return false;
+            }
+        });
+        await waitFor(ws, 'onopen');
+        const closed = waitFor(ws, 'onclose');
+        server.clients.get(ws.clientId).close(4000, 'app specific');
+        await closed;
+        assert.deepStrictEqual(decided, [4000]);
+    });
+
+    test('Specific: reconnecting gives up after maxReconnectAttempts', async () => {
+        await quietly(async () => {
+            const doomed = new LamderaMockServer();
+            await doomed.listen();
+            const ws = new LamderaWebSocket(doomed.url, [], { ...FAST, maxReconnectAttempts: 2 });
+            sockets.push(ws);
+            ws.onerror = () => {};
+            await waitFor(ws, 'onopen');
+
+            const attempts = [];
+            ws.onreconnecting = (event) => attempts.push(event.attempt);
+            const closed = waitFor(ws, 'onclose');
+            await doomed.close();
+
+            const event = await closed;
+            assert.strictEqual(event.code, 1006);
+            assert.strictEqual(event.reason, CLOSE_REASON_MAX_RECONNECTS);
+            assert.deepStrictEqual(attempts, [1, 2]);
+            assert.strictEqual(ws.readyState, LamderaWebSocket.CLOSED);
+        });
+    });
+
+    describe('state', () => {
+        test('Specific: the socket handshakes before it is open, and only then sends', async () => {
+            const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+            await new Promise(resolve => wss.once('listening', resolve));
+            const connected = new Promise(resolve => wss.once('connection', resolve));
+            const ws = new LamderaWebSocket(`ws://127.0.0.1:${wss.address().port}/_w`, [], FAST);
+            sockets.push(ws);
+            assert.strictEqual(ws.status, 'connecting');
+
+            try {
+                const socket = await connected;
+                const frames = [];
+                socket.on('message', (data) => frames.push(JSON.parse(data.toString())));
+                ws.send('early');
+                await new Promise(resolve => setTimeout(resolve, 20));
+                assert.strictEqual(ws.readyState, LamderaWebSocket.CONNECTING);
+                assert.strictEqual(ws.status, 'handshaking');
+                assert.strictEqual(ws.bufferedAmount, 0);
+                assert.deepStrictEqual(frames, []);
+
+                const ready = ws.ready();
+                socket.send(JSON.stringify({ t: 's', s: ws.sessionId, c: 'raw-client' }));
+                assert.deepStrictEqual(await ready, { clientId: 'raw-client', leaderId: null });
+                assert.strictEqual(ws.readyState, LamderaWebSocket.OPEN);
+                assert.strictEqual(ws.status, 'open');
+
+                await new Promise(resolve => setTimeout(resolve, 20));
+                assert.deepStrictEqual(frames.map(frame => [frame.t, frame.s, frame.c]), [['ToBackend', ws.sessionId, 'raw-client']]);
+            } finally {
+                ws.close();
+                await new Promise(resolve => wss.close(resolve));
+            }
+        });
+
+        test('Specific: ready() resolves when open and rejects once closed', async () => {
+            const ws = connect();
+            const { clientId } = await ws.ready();
+            assert.strictEqual(clientId, ws.clientId);
+            assert.deepStrictEqual(await ws.ready(), { clientId, leaderId: null });
+
+            const never = connect({ initialDelayMax: 50 });
+            const pending = never.ready();
+            never.close();
+            assert.strictEqual(never.status, 'closing');
+            await assert.rejects(pending, /closed \(code 1000: Closed by the client\) before the Lamdera handshake/);
+            assert.strictEqual(never.status, 'closed');
+            await assert.rejects(never.ready(), /Connection is closed/);
+        });
+
+        test('Specific: an unref\'d client does not keep the process alive', async () => {
+            const script = `
+                const { LamderaWebSocket } = require(${JSON.stringify(path.join(__dirname, '..', 'src', 'index.js'))});
+                const ws = new LamderaWebSocket(process.argv[1], [], { initialDelayMax: 1, heartbeatInterval: 50, unref: true });
+                ws.onopen = () => console.log('open');
+                setTimeout(() => ws.send('late', { ttl: 60000 }), 300);
+            `;
+            const { code, stdout } = await new Promise(resolve => {
+                execFile(process.execPath, ['-e', script, server.url], { timeout: 5000 }, (error, stdout) => {
+                    resolve({ code: error ? error.code || error.signal : 0, stdout });
+                });
+            });
+
+            assert.strictEqual(code, 0);
+            assert.strictEqual(stdout.trim(), 'open');
+        });
+    });
+
+    describe('connectLamdera', () => {
+        const connectTracked = async (options) => {
+            const ws = await connectLamdera(server.url, { ...FAST, ...options });
+            sockets.push(ws);
+            return ws;
+        };
+
+        test('Specific: resolves once an election leaves the client be', async () => {
+            server.onconnection = () => server.elect('someone-else');
+            const ws = await connectTracked({ sessionId: 'factory-session', leaderSettleTime: 5000 });
+
+            assert.strictEqual(ws.status, 'open');
+            assert.strictEqual(ws.leaderId, 'someone-else');
+            assert.strictEqual(server.clients.get(ws.clientId).sessionId, 'factory-session');
+        });
+
+        test('Specific: resolves after leaderSettleTime when no election arrives', async () => {
+            const started = Date.now();
+            const ws = await connectTracked({ leaderSettleTime: 30 });
+            assert.strictEqual(ws.status, 'open');
+            assert.ok(Date.now() - started >= 30);
+        });
+
+        test('Specific: waits out leader retries, and resolves at once when leadership is accepted', async () => {
+            await quietly(async () => {
+                let elections = 0;
+                server.onconnection = (client) => server.elect(++elections <= 2 ? client : 'someone-else');
+                const avoiding = await connectTracked({ leaderSettleTime: 5000 });
+                assert.strictEqual(elections, 3);
+                assert.strictEqual(avoiding.isLeader, false);
+
+                server.onconnection = null;
+                const accepting = await connectTracked({ leaderPolicy: 'accept', leaderSettleTime: 5000 });
+                assert.strictEqual(accepting.status, 'open');
+            });
+        });
+
+        test('Specific: rejects when leader retries run out', async () => {
+            await quietly(async () => {
+                server.onconnection = (client) => server.elect(client);
+                await assert.rejects(
+                    connectLamdera(server.url, { ...FAST, maxRetries: 1 }),
+                    /Connection closed \(code 1000: Gave up avoiding the leader role\) before it was ready/
+                );
+            });
+        });
+
+        test('Specific: with unref, waiting for the connection does not keep the process alive', async () => {
+            const script = `
+                const { connectLamdera } = require(${JSON.stringify(path.join(__dirname, '..', 'src', 'index.js'))});
+                connectLamdera(process.argv[1], { initialDelayMax: 1, unref: true, timeout: 60000, leaderSettleTime: 60000 });
+                setTimeout(() => console.log('waiting'), 300);
+            `;
+            const { code, stdout } = await new Promise(resolve => {
+                execFile(process.execPath, ['-e', script, server.url], { timeout: 5000 }, (error, stdout) => {
+                    resolve({ code: error ? error.code || error.signal : 0, stdout });
+                });
+            });
+
+            assert.strictEqual(code, 0);
+            assert.strictEqual(stdout.trim(), 'waiting');
+        });
+
+        test('Specific: rejects and closes the socket on timeout', async () => {
+            const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+            await new Promise(resolve => wss.once('listening', resolve));
+            const disconnected = new Promise(resolve => {
+                wss.once('connection', (socket) => socket.once('close', resolve));
+            });
+
+            try {
+                await assert.rejects(
+                    connectLamdera(`ws://127.0.0.1:${wss.address().port}/_w`, { ...FAST, timeout: 50 }),
+                    /Timed out after 50ms waiting for the Lamdera connection/
+                );
+                await disconnected;
+            } finally {
+                await new Promise(resolve => wss.close(resolve));
+            }
+        });
+    });
+
+    describe('close', () => {
+        const recordCloses = (ws) => {
+            const events = [];
+            ws.addEventListener('close', ({ code, reason, wasClean }) => events.push({ code, reason, wasClean }));
+            return events;
+        };
+        const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+        test('Specific: closing during the initial delay never connects', async () => {
+            let connections = 0;
+            server.onconnection = () => connections++;
+            const ws = connect({ initialDelayMax: 30 });
+            const events = recordCloses(ws);
+            ws.close();
+            await settle();
+
+            assert.strictEqual(connections, 0);
+            assert.deepStrictEqual(events, [{ code: 1000, reason: CLOSE_REASON_CLIENT, wasClean: true }]);
+            assert.strictEqual(ws.readyState, LamderaWebSocket.CLOSED);
+        });
+
+        test('Specific: an open connection closes once with the requested code and reason', async () => {
+            const ws = connect();
+            const events = recordCloses(ws);
+            await waitFor(ws, 'onopen');
+            ws.close(4100, 'done here');
+            ws.close();
+            await settle();
+
+            assert.deepStrictEqual(events, [{ code: 4100, reason: 'done here', wasClean: true }]);
+            assert.throws(() => ws.close(1011), /Invalid close code 1011/);
+        });
+
+        test('Specific: closing while waiting to reconnect stops reconnecting', async () => {
+            await quietly(async () => {
+                const ws = connect({ retryBaseDelay: 30, retryMaxDelay: 30 });
+                const events = recordCloses(ws);
+                await waitFor(ws, 'onopen');
+                const firstClient = ws.clientId;
+
+                const reconnecting = waitFor(ws, 'onreconnecting');
+                server.clients.get(firstClient).close(1012, 'service restart');
+                await reconnecting;
+                ws.close();
+                await settle();
+
+                assert.strictEqual(ws.clientId, null);
+                assert.deepStrictEqual(events, [{ code: 1000, reason: CLOSE_REASON_CLIENT, wasClean: true }]);
+            });
+        });
+
+        test('Specific: giving up on leader avoidance closes with its own reason', async () => {
+            await quietly(async () => {
+                server.onconnection = (client) => server.elect(client);
+                const ws = connect({ maxRetries: 2 });
+                const events = recordCloses(ws);
+                const gaveUp = waitFor(ws, 'onleaderdisconnect');
+
+                assert.strictEqual((await gaveUp).retryCount, 3);
+                await settle();
+                assert.deepStrictEqual(events, [{ code: 1000, reason: CLOSE_REASON_LEADER_AVOIDANCE, wasClean: true }]);
+            });
+        });
+    });
+
+    describe('heartbeat', () => {
+        test('Specific: WebSocket pings report the round-trip latency', async () => {
+            const ws = connect({ heartbeatInterval: 10 });
+            const event = await waitFor(ws, 'onlatency');
+
+            assert.strictEqual(event.type, 'latency');
+            assert.ok(event.latency >= 0);
+            assert.strictEqual(ws.latency, event.latency);
+        });
+
+        test('Specific: application-level pongs are consumed, not delivered', async () => {
+            server.handle(0, (text, client) => client.send(text === 'ping' ? 'pong' : `echo: ${text}`));
+            const ws = connect({ heartbeatInterval: 10, heartbeatPing: 'ping', heartbeatPong: 'pong' });
+            const messages = [];
+            ws.onmessage = (event) => messages.push(event.data);
+
+            await waitFor(ws, 'onlatency');
+            assert.ok(ws.latency >= 0);
+            assert.deepStrictEqual(messages, []);
+        });
+
+        test('Specific: application-level pongs are recognised with a toFrontend codec', async () => {
+            server.handle(0, (text, client) => client.send(text === 'ping' ? 'pong' : `echo: ${text}`));
+            const toFrontendCodecs = [
+                W.custom([W.variant('A00_WebSocketSend', W.string), W.variant('Other', W.int)]),
+                { 0: W.string }
+            ];
+
+            for (const toFrontend of toFrontendCodecs) {
+                const ws = connect({ toFrontend, heartbeatInterval: 10, heartbeatPing: 'ping', heartbeatPong: 'pong' });
+                const messages = [];
+                ws.onmessage = (event) => messages.push(event.data);
+
+                await waitFor(ws, 'onlatency');
+                assert.ok(ws.latency >= 0);
+                assert.deepStrictEqual(messages, []);
+                ws.close();
+            }
+        });
+
+        test('Specific: a silent connection is dropped and reconnected', async () => {
+            await quietly(async () => {
+                const ws = connect({ heartbeatInterval: 10, heartbeatTimeout: 30 });
+                await waitFor(ws, 'onopen');
+                const firstClient = ws.clientId;
+
+                const reconnecting = waitFor(ws, 'onreconnecting');
+                server.clients.get(firstClient).pause();
+                const event = await reconnecting;
+                assert.strictEqual(event.code, 1006);
+                assert.strictEqual(event.reason, 'Heartbeat timeout');
+
+                await waitFor(ws, 'onopen');
+                assert.notStrictEqual(ws.clientId, firstClient);
+            });
+        });
+    });
+
+    describe('streams', () => {
+        test('Specific: for await yields messages until the connection closes', async () => {
+            const ws = connect();
+            await waitFor(ws, 'onopen');
+            const client = server.clients.get(ws.clientId);
+
+            const collected = (async () => {
+                const messages = [];
+                for await (const data of ws) messages.push(data);
+                return messages;
+            })();
+            ['a', 'b', 'c'].forEach(text => client.send(text));
+            client.close(1000, 'done');
+
+            assert.deepStrictEqual(await collected, ['a', 'b', 'c']);
+        });
+
+        test('Specific: leaving one loop early leaves the connection and other readers alone', async () => {
+            const ws = connect();
+            await waitFor(ws, 'onopen');
+            const client = server.clients.get(ws.clientId);
+            const reader = ws.readable.getReader();
+
+            client.send('first');
+            for await (const data of ws) {
+                assert.strictEqual(data, 'first');
+                break;
+            }
+            client.send('second');
+
+            assert.strictEqual((await reader.read()).value, 'first');
+            assert.strictEqual((await reader.read()).value, 'second');
+            assert.strictEqual(ws.readyState, LamderaWebSocket.OPEN);
+        });
+
+        test('Specific: a full readable pauses the socket until it is read', async () => {
+            const ws = connect({ readableHighWaterMark: 1 });
+            await waitFor(ws, 'onopen');
+            const client = server.clients.get(ws.clientId);
+            const reader = ws.readable.getReader();
+
+            [1, 2, 3, 4].forEach(n => client.send(`message ${n}`));
+            await new Promise(resolve => setTimeout(resolve, 50));
+            assert.strictEqual(ws._ws.isPaused, true);
+
+            const received = [];
+            for (let i = 0; i < 4; i++) received.push((await reader.read()).value);
+            assert.deepStrictEqual(received, ['message 1', 'message 2', 'message 3', 'message 4']);
+            assert.strictEqual(ws._ws.isPaused, false);
+        });
+
+        test('Specific: piping into writable sends in order and closing it closes the socket', async () => {
+            const ws = connect();
+            const source = new ReadableStream({
+                start(controller) {
+                    ['x', 'y', 'z'].forEach(text => controller.enqueue(text));
+                    controller.close();
+                }
+            });
+
+            const closed = waitFor(ws, 'onclose');
+            await source.pipeTo(ws.writable);
+            await closed;
+
+            const received = server.received.filter(m => m.client.sessionId === ws.sessionId).map(m => m.value);
+            assert.deepStrictEqual(received, ['x', 'y', 'z']);
+        });
+    });
+
+    test('Specific: messages sent before the handshake arrive in order', async () => {
+        const ws = connect();
+        const deliveries = ['one', 'two', 'three'].map(text => ws.send(text));
+        await Promise.all(deliveries);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const received = server.received.filter(m => m.client.clientId === ws.clientId).map(m => m.value);
+        assert.deepStrictEqual(received, ['one', 'two', 'three']);
+    });
+
+    test('Specific: messages sent during a leader retry go out after the new handshake', async () => {
+        await quietly(async () => {
+            const ws = connect();
+            await waitFor(ws, 'onopen');
+            const firstClient = ws.clientId;
+
+            const reopened = waitFor(ws, 'onopen');
+            server.elect(firstClient);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            const delivered = ws.send('while retrying');
+            await reopened;
+            await delivered;
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            const message = server.received.find(m => m.value === 'while retrying');
+            assert.ok(message);
+            assert.strictEqual(message.client.clientId, ws.clientId);
+            assert.notStrictEqual(message.client.clientId, firstClient);
+        });
+    });
+
+    test('Specific: headers and wsOptions reach the ws constructor of an injected implementation', async () => {
+        const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+        await new Promise(resolve => wss.once('listening', resolve));
+        const handshake = new Promise(resolve => wss.once('connection', (socket, request) => {
+            socket.send(JSON.stringify({ t: 's', s: 'raw-session', c: 'raw-client' }));
+            resolve(request.headers);
+        }));
+
+        const constructed = [];
+        class RecordingWebSocket extends WebSocket {
+            constructor(url, protocols, options) {
+                super(url, protocols, options);
+                constructed.push(options);
+            }
+        }
+
+        const ws = new LamderaWebSocket(`ws://127.0.0.1:${wss.address().port}/_w`, [], {
+            ...FAST,
+            sessionId: 'raw-session',
+            webSocketImpl: RecordingWebSocket,
+            headers: { Authorization: 'Bearer token', cookie: 'auth=1; sid=ignored' },
+            wsOptions: { handshakeTimeout: 1000, perMessageDeflate: false, headers: { 'User-Agent': 'lamdera-test' } }
+        });
+        sockets.push(ws);
+
+        try {
+            const headers = await handshake;
+            await ws.ready();
+            assert.strictEqual(headers.authorization, 'Bearer token');
+            assert.strictEqual(headers['user-agent'], 'lamdera-test');
+            assert.strictEqual(headers.cookie, 'auth=1; sid=raw-session');
+            assert.strictEqual(headers['sec-websocket-extensions'], undefined);
+            assert.strictEqual(constructed.length, 1);
+            assert.strictEqual(constructed[0].handshakeTimeout, 1000);
+        } finally {
+            ws.close();
+            await new Promise(resolve => wss.close(resolve));
+        }
+    });
+
+    describe('session', () => {
+        test('Property: generated session IDs are valid and distinct', () => {
+            const ids = new Set();
+            for (let i = 0; i < 1000; i++) {
+                const id = generateSessionId();
+                assert.ok(validateSessionId(id), id);
+                ids.add(id);
+            }
+            assert.strictEqual(ids.size, 1000);
+        });
+
+        test('Specific: validateSessionId checks the 40-hex-character format', () => {
+            assert.strictEqual(validateSessionId('c04b8f7b594cdeedebc2a8029b82943b0a620815'), true);
+            for (const invalid of ['', 'c04b8f7b594cdeedebc2a8029b82943b0a62081', 'C04B8F7B594CDEEDEBC2A8029B82943B0A620815', 'g04b8f7b594cdeedebc2a8029b82943b0a620815', null, 42]) {
+                assert.strictEqual(validateSessionId(invalid), false, String(invalid));
+            }
+        });
+
+        test('Property: extractSessionFromCookie finds only the cookie named sid', () => {
+            const value = fc.stringMatching(/^[a-z0-9]{1,12}$/);
+            fc.assert(
+                fc.property(value, value, fc.constantFrom('xsid', 'sidx', 'my_sid'), (sid, other, otherName) => {
+                    assert.strictEqual(extractSessionFromCookie(`${otherName}=${other}`), null);
+                    assert.strictEqual(extractSessionFromCookie(`${otherName}=${other}; sid=${sid}`), sid);
+                    assert.strictEqual(extractSessionFromCookie(`sid=${sid};${otherName}=${other}`), sid);
+                    return true;
+                }),
+                { numRuns: 200 }
+            );
+        });
+
+        test('Property: mergeSetCookie sets, replaces and expires cookies by name', () => {
+            const name = fc.constantFrom('sid', 'a', 'b');
+            const value = fc.stringMatching(/^[a-z0-9]{0,8}$/);
+            fc.assert(
+                fc.property(
+                    fc.array(fc.tuple(name, value, fc.boolean()), { maxLength: 10 }),
+                    (updates) => {
+                        const expected = new Map([['sid', 'start']]);
+                        const headers = updates.map(([key, val, expired]) => {
+                            if (expired) expected.delete(key); else expected.set(key, val);
+                            return `${key}=${val}; Path=/${expired ? '; Max-Age=0' : ''}; HttpOnly`;
+                        });
+                        const merged = mergeSetCookie('sid=start', headers);
+                        return merged === [...expected].map(([key, val]) => `${key}=${val}`).join('; ');
+                    }
+                ),
+                { numRuns: 200 }
+            );
+        });
+
+        test('Specific: useBrowserSession shares the sid in document.cookie, or writes one', async () => {
+            const jar = new Map([['theme', 'dark']]);
+            globalThis.document = {
+                get cookie() {
+                    return [...jar].map(([name, value]) => `${name}=${value}`).join('; ');
+                },
+                set cookie(value) {
+                    const [pair] = value.split(';');
+                    jar.set(pair.slice(0, pair.indexOf('=')), pair.slice(pair.indexOf('=') + 1));
+                }
+            };
+
+            try {
+                const first = connect({ useBrowserSession: true });
+                assert.ok(validateSessionId(first.sessionId));
+                assert.strictEqual(jar.get('sid'), first.sessionId);
+
+                jar.set('sid', 'page-session');
+                const second = connect({ useBrowserSession: true });
+                await waitFor(second, 'onopen');
+                assert.strictEqual(second.sessionId, 'page-session');
+                assert.strictEqual([...server.clients.values()].find(c => c.clientId === second.clientId).sessionId, 'page-session');
+
+                assert.strictEqual(connect({ useBrowserSession: true, sessionId: 'explicit-session' }).sessionId, 'explicit-session');
+            } finally {
+                delete globalThis.document;
+            }
+        });
+
+        test('Specific: a session store keeps the session for the next client', async () => {
+            const sessionStore = createMemorySessionStore();
+            const first = connect({ sessionStore });
+            await waitFor(first, 'onopen');
+            assert.strictEqual(await sessionStore.load(), first.cookie);
+            first.close();
+
+            const second = connect({ sessionStore });
+            await waitFor(second, 'onopen');
+            assert.strictEqual(second.sessionId, first.sessionId);
+
+            const explicit = connect({ sessionStore, sessionId: 'explicit-session' });
+            await waitFor(explicit, 'onopen');
+            assert.strictEqual(explicit.sessionId, 'explicit-session');
+            assert.strictEqual(await sessionStore.load(), 'sid=explicit-session');
+        });
+
+        test('Specific: Set-Cookie on the upgrade response is adopted and stored', async () => {
+            const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+            await new Promise(resolve => wss.once('listening', resolve));
+            wss.on('headers', (headers) => headers.push('Set-Cookie: sid=from-server; Path=/; HttpOnly', 'Set-Cookie: theme=dark'));
+            const requests = [];
+            wss.on('connection', (socket, request) => {
+                requests.push(request.headers.cookie);
+                socket.send(JSON.stringify({ t: 's', s: 'from-server', c: `raw-${requests.length}` }));
+                if (requests.length === 1) socket.close(1001);
+            });
+
+            const sessionStore = createMemorySessionStore();
+            const ws = new LamderaWebSocket(`ws://127.0.0.1:${wss.address().port}/_w`, [], { ...FAST, sessionStore });
+            sockets.push(ws);
+
+            try {
+                await quietly(async () => {
+                    await waitFor(ws, 'onreconnected');
+                });
+                assert.strictEqual(ws.sessionId, 'from-server');
+                assert.strictEqual(ws.cookie, 'sid=from-server; theme=dark');
+                assert.strictEqual(requests[1], 'sid=from-server; theme=dark');
+                assert.strictEqual(await sessionStore.load(), 'sid=from-server; theme=dark');
+            } finally {
+                ws.close();
+                await new Promise(resolve => wss.close(resolve));
+            }
+        });
+    });
+
+    test('Specific: queued messages reject when the socket is closed', async () => {
+        const ws = connect();
+        const pending = ws.send('never sent');
+        ws.close();
+        await assert.rejects(pending, /closed before the message was sent/);
+    });
+
+    test('Specific: a new socket replays messages left in shared outbox storage', async () => {
+        // A previous run that stopped with a message still queued
+        const outboxStorage = createMemoryOutboxStorage();
+        const previousRun = new OutboundQueue({ storage: outboxStorage });
+        previousRun.enqueue({ message: 'left behind', duVariant: 0 });
+        await previousRun.settled();
+
+        const ws = connect({ outboxStorage });
+        await waitFor(ws, 'onopen');
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const received = server.received.filter(m => m.client.clientId === ws.clientId).map(m => m.value);
+        assert.deepStrictEqual(received, ['left behind']);
+        assert.deepStrictEqual(await outboxStorage.load(), []);
+    });
+
+    test('Specific: a failed flush on an open socket is retried, keeping the send order', async () => {
+        const ws = connect();
+        const writeMessage = ws._writeMessage.bind(ws);
+        let failures = 1;
+        ws._writeMessage = (entry) => {
+            if (failures-- > 0) throw new Error('write failed');
+            writeMessage(entry);
+        };
+
+        const early = [ws.send('a'), ws.send('b')];
+        await waitFor(ws, 'onopen');
+        const late = ws.send('c');
+        await Promise.all([...early, late]);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const received = server.received.filter(m => m.client.clientId === ws.clientId).map(m => m.value);
+        assert.deepStrictEqual(received, ['a', 'b', 'c']);
+    });
+
+    test('Specific: messages queued when reconnecting gives up are replayed by the next socket', async () => {
+        await quietly(async () => {
+            const outboxStorage = createMemoryOutboxStorage();
+            const doomed = new LamderaMockServer();
+            await doomed.listen();
+            const first = new LamderaWebSocket(doomed.url, [], { ...FAST, outboxStorage, maxReconnectAttempts: 1 });
+            sockets.push(first);
+            first.onerror = () => {};
+            await waitFor(first, 'onopen');
+
+            const reconnecting = waitFor(first, 'onreconnecting');
+            const closed = waitFor(first, 'onclose');
+            await doomed.close();
+            await reconnecting;
+            const pending = first.send('survivor');
+            assert.strictEqual((await closed).reason, CLOSE_REASON_MAX_RECONNECTS);
+            await assert.rejects(pending);
+            await first._queue.settled();
+            assert.deepStrictEqual((await outboxStorage.load()).map(r => r.text), ['survivor']);
+
+            const ws = connect({ outboxStorage });
+            await waitFor(ws, 'onopen');
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            const received = server.received.filter(m => m.client.clientId === ws.clientId).map(m => m.value);
+            assert.deepStrictEqual(received, ['survivor']);
+            assert.deepStrictEqual(await outboxStorage.load(), []);
+        });
+    });
+
+    test('Specific: close({ discardOutbox: true }) removes queued messages from storage', async () => {
+        const outboxStorage = createMemoryOutboxStorage();
+        const first = connect({ outboxStorage, initialDelayMax: 50 });
+        const pending = first.send('rejected');
+        first.close({ discardOutbox: true });
+        await assert.rejects(pending, /closed before the message was sent/);
+        await first._queue.settled();
+        assert.deepStrictEqual(await outboxStorage.load(), []);
+        assert.strictEqual(first.readyState, LamderaWebSocket.CLOSED);
+
+        const ws = connect({ outboxStorage });
+        await waitFor(ws, 'onopen');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.deepStrictEqual(server.received.filter(m => m.value === 'rejected'), []);
+    });
+});
@@ -0,0 +1,199 @@
+/**
+ * Property-based tests for the Wire3 codec combinators
+ *
+ * These tests verify that combinators produce exactly the bytes of the
+ * underlying Wire3 encoders and that custom types follow Lamdera's
+ * alphabetical constructor numbering.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fc = require('fast-check');
+
+const {
+    W,
+    encodeInt64,
+    encodeString,
+    encodeMessage,
+    decodeMessage,
+    encodeList,
+    encodeMaybe
+} = require('../src/index.js');
+
+const roundTrips = (codec, value) => {
+    const encoded = codec.encode(value);
+    const { value: decoded, bytesRead } = codec.decode(encoded, 0);
+    assert.deepStrictEqual(decoded, value);
+    assert.strictEqual(bytesRead, encoded.length);
+};
+
+// ============================================================================
+// Primitive and Container Codecs
+// ============================================================================
+
+describe('Codec Combinators', () => {
+    test('Property: primitive codecs round-trip', () => {
+        fc.assert(
+            fc.property(fc.integer(), fc.string(), fc.boolean(), fc.double({ noNaN: true }), (i, s, b, f) => {
+                roundTrips(W.int, i);
+                roundTrips(W.string, s);
+                roundTrips(W.bool, b);
+                roundTrips(W.float, f);
+                return true;
+            }),
+            { numRuns: 1000 }
+        );
+        roundTrips(W.char, 'λ');
+        roundTrips(W.unit, null);
+    });
+
+    test('Property: combinators produce the same bytes as the Wire3 encoders', () => {
+        fc.assert(
+            fc.property(fc.array(fc.option(fc.string(), { nil: null }), { maxLength: 20 }), (items) => {
+                const viaCodec = W.list(W.maybe(W.string)).encode(items);
+                const viaEncoders = encodeList(encodeMaybe(encodeString))(items);
+                return Buffer.from(viaCodec).equals(viaEncoders);
+            }),
+            { numRuns: 500 }
+        );
+    });
+
+    test('Property: nested containers round-trip', () => {
+        const codec = W.tuple(
+            W.dict(W.string, W.list(W.int)),
+            W.set(W.int),
+            W.result(W.string, W.array(W.bool))
+        );
+        fc.assert(
+            fc.property(
+                fc.dictionary(fc.string(), fc.array(fc.integer(), { maxLength: 5 })),
+                fc.uniqueArray(fc.integer()),
+                fc.oneof(
+                    fc.string().map(error => ({ ok: false, error })),
+                    fc.array(fc.boolean()).map(value => ({ ok: true, value }))
+                ),
+                (obj, members, res) => {
+                    const encoded = codec.encode([obj, members, res]);
+                    const { value: [d, s, r], bytesRead } = codec.decode(encoded, 0);
+                    return bytesRead === encoded.length &&
+                           d.size === Object.keys(obj).length &&
+                           [...d].every(([k, v]) => JSON.stringify(v) === JSON.stringify(obj[k])) &&
+                           s.size === members.length &&
+                           JSON.stringify(r) === JSON.stringify(res);
+                }
+            ),
+            { numRuns: 300 }
+        );
+    });
+
+    test('Property: records round-trip regardless of field declaration order', () => {
+        const a = W.record({ name: W.string, age: W.int, tags: W.list(W.string) });
+        const b = W.record({ tags: W.list(W.string), age: W.int, name: W.string });
+        fc.assert(
+            fc.property(
+                fc.record({ name: fc.string(), age: fc.integer(), tags: fc.array(fc.string(), { maxLength: 5 }) }),
+                (user) => {
+                    roundTrips(a, user);
+                    return Buffer.from(a.encode(user)).equals(b.encode(user));
+                }
+            ),
+            { numRuns: 500 }
+        );
+    });
+
+    test('Specific: map converts between wire and JS representations', () => {
+        const date = W.map(W.int, ms => new Date(ms), d => d.getTime());
+        const when = new Date(1700000000000);
+        assert.ok(Buffer.from(date.encode(when)).equals(encodeInt64(1700000000000)));
+        assert.strictEqual(date.decode(date.encode(when)).value.getTime(), when.getTime());
+    });
+
+    test('Specific: decode offset defaults to 0 and honours a given offset', () => {
+        const bytes = Buffer.concat([Buffer.from([0xFF]), W.string.encode('hi')]);
+        assert.deepStrictEqual(W.string.decode(bytes, 1), { value: 'hi', bytesRead: 3 });
+        assert.deepStrictEqual(W.string.decode(W.string.encode('hi')), { value: 'hi', bytesRead: 3 });
+    });
+});
+
+// ============================================================================
+// Custom Types
+// ============================================================================
+
+describe('Custom Type Codecs', () => {
+    const ToBackend = W.custom([
+        W.variant('SaveUser', W.record({ name: W.string, age: W.int })),
+        W.variant('Ping'),
+        W.variant('A00_WebSocketReceive', W.string),
+        W.variant('Move', W.int, W.int)
+    ]);
+
+    test('Specific: variants are numbered alphabetically', () => {
+        assert.deepStrictEqual(
+            ToBackend.variants.map(v => [v.name, v.index]),
+            [['A00_WebSocketReceive', 0], ['Move', 1], ['Ping', 2], ['SaveUser', 3]]
+        );
+        assert.strictEqual(ToBackend.tagOf('Ping'), 2);
+        assert.throws(() => ToBackend.tagOf('Nope'), /Unknown variant/);
+    });
+
+    test('Property: the string variant matches encodeMessage byte for byte', () => {
+        fc.assert(
+            fc.property(fc.string(), (s) => {
+                const encoded = ToBackend.encode({ tag: 'A00_WebSocketReceive', args: [s] });
+                return Buffer.from(encoded).equals(encodeMessage(s, 0x00)) && decodeMessage(encoded, 0x00) === s;
+            }),
+            { numRuns: 1000 }
+        );
+    });
+
+    test('Property: every variant round-trips', () => {
+        const value = fc.oneof(
+            fc.string().map(s => ({ tag: 'A00_WebSocketReceive', args: [s] })),
+            fc.tuple(fc.integer(), fc.integer()).map(args => ({ tag: 'Move', args })),
+            fc.constant({ tag: 'Ping', args: [] }),
+            fc.record({ name: fc.string(), age: fc.integer() }).map(u => ({ tag: 'SaveUser', args: [u] }))
+        );
+        fc.assert(
+            fc.property(value, (v) => {
+                roundTrips(ToBackend, v);
+                return ToBackend.encode(v)[0] === ToBackend.tagOf(v.tag);
+            }),
+            { numRuns: 1000 }
+        );
+    });
+
+    test('Specific: exact bytes for a multi-argument variant', () => {
+        // Move is index 1, then zigzag(3)=6, zigzag(-4)=7
+        assert.deepStrictEqual([...ToBackend.encode({ tag: 'Move', args: [3, -4] })], [1, 6, 7]);
+        // Ping has no arguments and may omit args
+        assert.deepStrictEqual([...ToBackend.encode({ tag: 'Ping' })], [2]);
+    });
+
+    test('Specific: unknown variants and indices are rejected', () => {
+        assert.throws(() => ToBackend.encode({ tag: 'Nope', args: [] }), /Unknown variant: Nope/);
+        assert.throws(() => ToBackend.decode(Buffer.from([9])), /Unknown variant index: 9/);
+        assert.throws(() => ToBackend.decode(Buffer.alloc(0)), /too short/);
+        assert.throws(() => W.custom([W.variant('A'), W.variant('A')]), /Duplicate variant/);
+    });
+
+    test('Property: recursive types via lazy round-trip', () => {
+        const tree = W.custom([
+            W.variant('Leaf', W.int),
+            W.variant('Node', W.lazy(() => tree), W.lazy(() => tree))
+        ]);
+        const { tree: arbitraryTree } = fc.letrec(tie => ({
+            tree: fc.oneof(
+                { depthSize: 'small', withCrossShrink: true },
+                fc.integer().map(n => ({ tag: 'Leaf', args: [n] })),
+                fc.tuple(tie('tree'), tie('tree')).map(args => ({ tag: 'Node', args }))
+            )
+        }));
+        fc.assert(
+            fc.property(arbitraryTree, (t) => {
+                roundTrips(tree, t);
+                return true;
+            }),
+            { numRuns: 300 }
+        );
+    });
+});
@@ -0,0 +1,219 @@
+/**
+ * Tests for the Types.elm -> TypeScript codec generator
+ *
+ * Variant indices must agree with the alphabetical ordering proven in
+ * wire3.test.js and applied at runtime by W.custom.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fc = require('fast-check');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { execFile } = require('node:child_process');
+
+const {
+    stripComments,
+    parseElmTypes,
+    indexVariants,
+    generateTypeScript
+} = require('../src/codegen.js');
+const { W } = require('../src/index.js');
+
+const TYPES_ELM = `module Types exposing (..)
+
+{-| Shared types {- with a nested block -} -}
+
+import Auth.Common
+import Browser.Navigation exposing (Key)
+import Dict exposing (Dict)
+import Time
+
+
+type alias FrontendModel =
+    { key : Key
+    , message : String -- not sent over the wire
+    }
+
+
+type alias User =
+    { name : String
+    , age : Maybe Int
+    , joined : Time.Posix
+    }
+
+
+type alias Paged a =
+    { items : List a
+    , total : Int
+    }
+
+
+type Tree
+    = Leaf Int
+    | Node Tree Tree
+
+
+type ToBackend
+    = SaveUser User (Maybe String)
+    | A00_WebSocketReceive String
+    | GetUserToBackend
+    | AuthToBackend Auth.Common.ToBackend
+    | Pages (Paged User)
+    | Move ( Int, Int )
+
+
+type ToFrontend
+    = UserDataToFrontend User
+    | A00_WebSocketSend String
+    | Scores (Dict String (List Float)) (Result String ())
+
+
+view : Model -> Html Msg
+view model =
+    text "-- {- not a comment"
+`;
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+describe('Elm Type Parsing', () => {
+    test('Specific: comments are stripped but strings are kept', () => {
+        const stripped = stripComments('a -- line\n{- block {- nested -} -}b "-- kept" \'-\'');
+        assert.strictEqual(stripped, 'a \nb "-- kept" \'-\'');
+    });
+
+    test('Specific: parses aliases, custom types and type parameters', () => {
+        const types = parseElmTypes(TYPES_ELM);
+        assert.deepStrictEqual(
+            [...types.keys()],
+            ['FrontendModel', 'User', 'Paged', 'Tree', 'ToBackend', 'ToFrontend']
+        );
+
+        const paged = types.get('Paged');
+        assert.strictEqual(paged.kind, 'alias');
+        assert.deepStrictEqual(paged.params, ['a']);
+        assert.deepStrictEqual(paged.type.fields.map(f => f.name), ['items', 'total']);
+
+        const toBackend = types.get('ToBackend');
+        assert.strictEqual(toBackend.kind, 'custom');
+        assert.deepStrictEqual(
+            toBackend.variants.find(v => v.name === 'Move').args,
+            [{ kind: 'tuple', items: [{ kind: 'named', name: 'Int', args: [] }, { kind: 'named', name: 'Int', args: [] }] }]
+        );
+        assert.deepStrictEqual(
+            toBackend.variants.find(v => v.name === 'Pages').args,
+            [{ kind: 'named', name: 'Paged', args: [{ kind: 'named', name: 'User', args: [] }] }]
+        );
+    });
+
+    test('Specific: parse errors name the declaration', () => {
+        assert.throws(() => parseElmTypes('type Broken\n    = Ok (Int\n'), /Could not parse "type Broken"/);
+    });
+});
+
+// ============================================================================
+// Variant Indices
+// ============================================================================
+
+describe('Variant Indices', () => {
+    const elmConstructorName = () => fc.tuple(
+        fc.constantFrom(...'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('')),
+        fc.stringOf(fc.constantFrom(...'ABCabcxyz019_'.split('')), { maxLength: 10 })
+    ).map(([first, rest]) => first + rest);
+
+    test('Property: generator indices match W.custom for any constructor set', () => {
+        fc.assert(
+            fc.property(fc.uniqueArray(elmConstructorName(), { minLength: 1, maxLength: 60 }), (names) => {
+                const indexed = indexVariants(names.map(name => ({ name, args: [] })));
+                const runtime = W.custom(names.map(name => W.variant(name)));
+                return indexed.every(v => runtime.tagOf(v.name) === v.index);
+            }),
+            { numRuns: 1000 }
+        );
+    });
+
+    test('Property: a constructor named A always gets index 0', () => {
+        fc.assert(
+            fc.property(fc.uniqueArray(elmConstructorName(), { maxLength: 60 }), (names) => {
+                const indexed = indexVariants([...new Set(['A', ...names])].map(name => ({ name, args: [] })));
+                return indexed[0].name === 'A';
+            }),
+            { numRuns: 1000 }
+        );
+    });
+});
+
+// ============================================================================
+// TypeScript Output
+// ============================================================================
+
+describe('TypeScript Generation', () => {
+    const { code, warnings } = generateTypeScript(TYPES_ELM);
+
+    test('Specific: only ToBackend, ToFrontend and their dependencies are emitted', () => {
+        assert.match(code, /export type User = /);
+        assert.match(code, /export type Paged<A> = /);
+        assert.doesNotMatch(code, /FrontendModel/);
+        assert.doesNotMatch(code, /Tree/);
+    });
+
+    test('Specific: variants are listed and tagged in alphabetical order', () => {
+        assert.match(code, /\/\* 0 \*\/ W\.variant\('A00_WebSocketReceive', W\.string\)/);
+        assert.match(code, /\/\* 3 \*\/ W\.variant\('Move', W\.tuple\(W\.int, W\.int\)\)/);
+        assert.match(code, /\/\* 5 \*\/ W\.variant\('SaveUser', W\.lazy\(\(\) => User\), W\.maybe\(W\.string\)\)/);
+        assert.match(code, /export const ToFrontendTag = \{\n {4}A00_WebSocketSend: 0,\n {4}Scores: 1,\n {4}UserDataToFrontend: 2\n\} as const;/);
+    });
+
+    test('Specific: TypeScript types follow the Wire3 JS representations', () => {
+        assert.match(code, /export type User = \{ name: string; age: number \| null; joined: number \};/);
+        assert.match(code, /\| \{ tag: 'Scores'; args: \[Map<string, Array<number>>, Result<string, null>\] \}/);
+        assert.match(code, /export const Paged = <A>\(a: Codec<A>\): Codec<Paged<A>> =>/);
+    });
+
+    test('Specific: typed senders and handlers are generated for every variant', () => {
+        assert.match(code, /SaveUser\(arg0: User, arg1: string \| null\): void;/);
+        assert.match(code, /GetUserToBackend: \(\) => send\(\{ tag: 'GetUserToBackend', args: \[\] \}\)/);
+        assert.match(code, /UserDataToFrontend\?\(arg0: User\): void;/);
+        assert.match(code, /export const onToFrontend = /);
+    });
+
+    test('Specific: unknown types become an unsupported codec with a warning', () => {
+        assert.deepStrictEqual(warnings, [
+            'No Wire3 codec for Auth.Common.ToBackend; values of this type cannot be sent or received'
+        ]);
+        assert.match(code, /W\.variant\('AuthToBackend', unsupported\("Auth\.Common\.ToBackend"\)\)/);
+    });
+
+    test('Specific: roots and import path are configurable', () => {
+        const { code: treeOnly, warnings: none } = generateTypeScript(TYPES_ELM, {
+            roots: ['Tree'],
+            importFrom: './vendor/lamdera-websocket'
+        });
+        assert.deepStrictEqual(none, []);
+        assert.match(treeOnly, /from '\.\/vendor\/lamdera-websocket'/);
+        assert.match(treeOnly, /W\.variant\('Node', W\.lazy\(\(\) => Tree\), W\.lazy\(\(\) => Tree\)\)/);
+        assert.doesNotMatch(treeOnly, /ToBackend|unsupported/);
+        assert.throws(() => generateTypeScript(TYPES_ELM, { roots: ['Missing'] }), /Missing is not declared/);
+    });
+});
+
+describe('lamdera-websocket-codegen', () => {
+    test('Specific: the command generates codecs from a source checkout', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lamdera-codegen-'));
+        const typesPath = path.join(dir, 'Types.elm');
+        fs.writeFileSync(typesPath, TYPES_ELM);
+
+        try {
+            const bin = path.join(__dirname, '..', 'bin', 'lamdera-codegen.js');
+            const stdout = await new Promise((resolve, reject) => {
+                execFile(process.execPath, [bin, typesPath], { timeout: 5000 }, (error, out) => (error ? reject(error) : resolve(out)));
+            });
+            assert.match(stdout, /export const ToFrontendTag = /);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,256 @@
+/**
+ * Tests for the Node-only helpers
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const http = require('node:http');
+const net = require('node:net');
+const fc = require('fast-check');
+
+const { OutboundQueue } = require('../src/outbox.js');
+const { LamderaWebSocket } = require('../src/index.js');
+const { LamderaMockServer } = require('../src/mock-server.js');
+const {
+    createFileOutboxStorage,
+    createFileSessionStore,
+    createProxyAgent,
+    resolveProxy,
+    isSupportedProxy,
+    matchesNoProxy
+} = require('../src/node.js');
+
+const withTempDir = async (fn) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lamdera-websocket-'));
+    try {
+        await fn(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+};
+
+describe('createFileOutboxStorage', () => {
+    test('Specific: pending messages are replayed by a new queue and the log is compacted', () => withTempDir(async (dir) => {
+        const file = path.join(dir, 'outbox.jsonl');
+        const before = new OutboundQueue({ storage: createFileOutboxStorage(file) });
+        ['sent', 'pending'].forEach(message => before.enqueue({ message, duVariant: 0 }));
+        before.enqueue({ message: new Uint8Array([0, 255]), duVariant: 1 });
+        assert.throws(() => before.flush(entry => {
+            if (entry.message !== 'sent') throw new Error('socket gone');
+        }), /socket gone/);
+        await before.settled();
+
+        const after = new OutboundQueue({ storage: createFileOutboxStorage(file) });
+        assert.strictEqual(await after.restore(), 2);
+        const written = [];
+        after.flush(entry => written.push([entry.message, entry.duVariant]));
+        assert.deepStrictEqual(written, [['pending', 0], [new Uint8Array([0, 255]), 1]]);
+        await after.settled();
+
+        await createFileOutboxStorage(file).load();
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), '');
+    }));
+
+    test('Specific: a missing file loads as empty and a torn last line is skipped', () => withTempDir(async (dir) => {
+        const file = path.join(dir, 'outbox.jsonl');
+        assert.deepStrictEqual(await createFileOutboxStorage(file).load(), []);
+
+        const record = { id: 'a', duVariant: 0, expiresAt: null, text: 'kept' };
+        fs.writeFileSync(file, JSON.stringify(record) + '\n{"id":"b","duVar');
+        assert.deepStrictEqual(await createFileOutboxStorage(file).load(), [record]);
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), JSON.stringify(record) + '\n');
+    }));
+});
+
+describe('createFileSessionStore', () => {
+    test('Specific: the saved cookie is loaded by a new store, and a missing file loads as null', () => withTempDir(async (dir) => {
+        const file = path.join(dir, 'session.json');
+        assert.strictEqual(await createFileSessionStore(file).load(), null);
+
+        await createFileSessionStore(file).save('sid=abc; theme=dark');
+        assert.strictEqual(await createFileSessionStore(file).load(), 'sid=abc; theme=dark');
+        assert.deepStrictEqual(fs.readdirSync(dir), ['session.json']);
+        if (process.platform !== 'win32') {
+            assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+        }
+    }));
+});
+
+// A stand-in for a corporate HTTP CONNECT proxy; with a username and
+// password it answers 407 to requests without them
+const startConnectProxy = async ({ username, password } = {}) => {
+    const credentials = username && `${username}:${password}`;
+    const tunnels = [];
+    const sockets = new Set();
+    const server = http.createServer((request, response) => response.writeHead(405).end());
+    server.on('connect', (request, client, head) => {
+        const expected = credentials && `Basic ${Buffer.from(credentials).toString('base64')}`;
+        if (expected && request.headers['proxy-authorization'] !== expected) {
+            client.end('HTTP/1.1 407 Proxy Authentication Required\r\n\r\n');
+            return;
+        }
+
+        tunnels.push(request.url);
+        const [host, port] = [request.url.slice(0, request.url.lastIndexOf(':')), request.url.slice(request.url.lastIndexOf(':') + 1)];
+        const upstream = net.connect(Number(port), host, () => {
+            client.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+            upstream.write(head);
+            upstream.pipe(client);
+            client.pipe(upstream);
+        });
+        sockets.add(client).add(upstream);
+        upstream.on('error', () => client.destroy());
+        client.on('error', () => upstream.destroy());
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://${credentials ? `${encodeURIComponent(username)}:${encodeURIComponent(password)}@` : ''}127.0.0.1:${server.address().port}`,
+        tunnels,
+        close: () => new Promise(resolve => {
+            sockets.forEach(socket => socket.destroy());
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+};
+
+describe('Proxies', () => {
+    let server;
+    const sockets = [];
+
+    const waitForOpen = (ws) => new Promise((resolve, reject) => {
+        ws.onopen = resolve;
+        ws.onclose = (event) => reject(new Error(`closed: ${event.reason}`));
+    });
+
+    before(async () => {
+        server = new LamderaMockServer();
+        await server.listen();
+    });
+
+    // Close clients before their proxy goes away, so they don't reconnect
+    const closeSockets = () => sockets.splice(0).forEach(ws => ws.close());
+
+    after(async () => {
+        closeSockets();
+        await server.close();
+    });
+
+    const connect = (options) => {
+        const ws = new LamderaWebSocket(server.url, [], { initialDelayMax: 1, retryBaseDelay: 1, retryMaxDelay: 20, ...options });
+        sockets.push(ws);
+        return ws;
+    };
+
+    test('Property: resolveProxy picks the proxy for the scheme unless NO_PROXY matches', () => {
+        const host = fc.constantFrom('example.com', 'api.example.com', 'lamdera.app', '127.0.0.1');
+        fc.assert(
+            fc.property(host, fc.constantFrom('ws', 'wss'), fc.array(host, { maxLength: 3 }), (target, scheme, bypassed) => {
+                const env = { HTTPS_PROXY: 'http://secure:1', http_proxy: 'http://plain:1', NO_PROXY: bypassed.join(',') };
+                const bypass = bypassed.some(entry => target === entry || target.endsWith(`.${entry}`));
+                const expected = bypass ? null : scheme === 'wss' ? 'http://secure:1' : 'http://plain:1';
+                return resolveProxy(`${scheme}://${target}/_w`, { env }) === expected;
+            }),
+            { numRuns: 200 }
+        );
+    });
+
+    test('Specific: explicit proxy options, ALL_PROXY and NO_PROXY entries', () => {
+        const env = { ALL_PROXY: 'http://all:1', NO_PROXY: '.internal, localhost:8000' };
+        assert.strictEqual(resolveProxy('wss://example.com/_w', { env }), 'http://all:1');
+        assert.strictEqual(resolveProxy('wss://example.com/_w', { env, proxy: 'http://explicit:1' }), 'http://explicit:1');
+        assert.strictEqual(resolveProxy('wss://example.com/_w', { env, proxy: false }), null);
+        assert.strictEqual(resolveProxy('wss://example.com/_w', { env, noProxy: ['example.com'] }), null);
+        assert.strictEqual(resolveProxy('ws://db.internal/_w', { env }), null);
+        assert.strictEqual(resolveProxy('ws://localhost:8000/_w', { env }), null);
+        assert.strictEqual(resolveProxy('ws://localhost:8001/_w', { env }), 'http://all:1');
+        assert.strictEqual(resolveProxy('ws://example.com/_w', { env: {} }), null);
+
+        assert.strictEqual(matchesNoProxy('ws://anything/_w', '*'), true);
+        assert.strictEqual(matchesNoProxy('ws://a.example.com/_w', '*.example.com'), true);
+        assert.strictEqual(matchesNoProxy('ws://notexample.com/_w', 'example.com'), false);
+    });
+
+    test('Specific: the client tunnels through an explicit proxy, with credentials', async () => {
+        const proxy = await startConnectProxy({ username: 'user', password: 'p@ss' });
+        try {
+            const ws = connect({ proxy: proxy.url });
+            await waitForOpen(ws);
+            assert.deepStrictEqual(proxy.tunnels, [`127.0.0.1:${server.port}`]);
+        } finally {
+            closeSockets();
+            await proxy.close();
+        }
+    });
+
+    test('Specific: HTTP_PROXY is honoured unless NO_PROXY or an agent says otherwise', async () => {
+        const proxy = await startConnectProxy();
+        const saved = { HTTP_PROXY: process.env.HTTP_PROXY, NO_PROXY: process.env.NO_PROXY };
+        process.env.HTTP_PROXY = proxy.url;
+        delete process.env.NO_PROXY;
+        try {
+            const proxied = connect();
+            await waitForOpen(proxied);
+            assert.strictEqual(proxied.clientId !== null, true);
+            assert.strictEqual(proxy.tunnels.length, 1);
+
+            await waitForOpen(connect({ noProxy: '127.0.0.1' }));
+            await waitForOpen(connect({ wsOptions: { agent: new http.Agent() } }));
+            assert.strictEqual(proxy.tunnels.length, 1);
+        } finally {
+            for (const [name, value] of Object.entries(saved)) {
+                if (value === undefined) delete process.env[name]; else process.env[name] = value;
+            }
+            closeSockets();
+            await proxy.close();
+        }
+    });
+
+    test('Specific: an unsupported proxy from the environment is skipped with one warning', async () => {
+        const env = { ALL_PROXY: 'socks5://127.0.0.1:1080' };
+        assert.strictEqual(resolveProxy(server.url, { env }), 'socks5://127.0.0.1:1080');
+        assert.strictEqual(isSupportedProxy(resolveProxy(server.url, { env })), false);
+        assert.strictEqual(isSupportedProxy('http://proxy:3128'), true);
+        assert.strictEqual(isSupportedProxy('not a url'), false);
+
+        const saved = process.env.ALL_PROXY;
+        const log = console.log;
+        const logged = [];
+        process.env.ALL_PROXY = env.ALL_PROXY;
+        console.log = (...args) => logged.push(args.join(' '));
+        try {
+            const ws = connect();
+            await waitForOpen(ws);
+            const reopened = waitForOpen(ws);
+            server.clients.get(ws.clientId).close(1001);
+            await reopened;
+            assert.deepStrictEqual(logged.filter(line => line.includes('proxy')), [
+                '⚠️ Ignoring the socks5 proxy from the environment (only http and https proxies are supported); connecting directly'
+            ]);
+
+            const explicit = connect({ proxy: env.ALL_PROXY });
+            await assert.rejects(waitForOpen(explicit), /closed: Unsupported proxy protocol "socks5:"/);
+        } finally {
+            console.log = log;
+            if (saved === undefined) delete process.env.ALL_PROXY; else process.env.ALL_PROXY = saved;
+            closeSockets();
+        }
+    });
+
+    test('Specific: a refused CONNECT fails the connection attempt', async () => {
+        const proxy = await startConnectProxy({ username: 'user', password: 'secret' });
+        try {
+            const agent = await createProxyAgent(proxy.url.replace('user:secret@', ''), server.url);
+            const request = http.get({ host: '127.0.0.1', port: server.port, path: '/', agent });
+            const error = await new Promise(resolve => request.once('error', resolve));
+            assert.match(error.message, /Proxy CONNECT 127\.0\.0\.1:\d+ failed: 407 Proxy Authentication Required/);
+            await assert.rejects(createProxyAgent('socks5://127.0.0.1:1080', server.url), /Unsupported proxy protocol "socks5:"/);
+        } finally {
+            await proxy.close();
+        }
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * Tests for the outbound message queue
+ *
+ * The queue must preserve send order, honour its size limit and overflow
+ * policy, settle every delivery promise exactly once, and leave exactly the
+ * undelivered messages in storage.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fc = require('fast-check');
+
+const { OutboundQueue, createMemoryOutboxStorage } = require('../src/outbox.js');
+
+const settle = (promise) => promise.then(() => 'sent', (error) => error.message);
+
+describe('OutboundQueue', () => {
+    test('Property: flush writes messages in enqueue order', () => {
+        fc.assert(
+            fc.property(fc.array(fc.string(), { maxLength: 50 }), (messages) => {
+                const queue = new OutboundQueue();
+                messages.forEach(message => queue.enqueue({ message, duVariant: 0 }));
+                const written = [];
+                queue.flush(entry => written.push(entry.message));
+                return queue.length === 0 && JSON.stringify(written) === JSON.stringify(messages);
+            }),
+            { numRuns: 200 }
+        );
+    });
+
+    test('Property: the queue never exceeds maxSize and keeps the newest with drop-oldest', () => {
+        fc.assert(
+            fc.property(fc.integer({ min: 1, max: 10 }), fc.array(fc.integer(), { maxLength: 40 }), (maxSize, messages) => {
+                const queue = new OutboundQueue({ maxSize });
+                messages.forEach(message => queue.enqueue({ message }));
+                const written = [];
+                queue.flush(entry => written.push(entry.message));
+                return JSON.stringify(written) === JSON.stringify(messages.slice(-maxSize));
+            }),
+            { numRuns: 200 }
+        );
+    });
+
+    test('Specific: overflow policies', async () => {
+        const oldest = new OutboundQueue({ maxSize: 1 });
+        const first = oldest.enqueue({ message: 'a' });
+        oldest.enqueue({ message: 'b' });
+        assert.match(await settle(first), /oldest message dropped/);
+
+        const newest = new OutboundQueue({ maxSize: 1, overflow: 'drop-newest' });
+        newest.enqueue({ message: 'a' });
+        assert.match(await settle(newest.enqueue({ message: 'b' })), /message dropped/);
+        assert.strictEqual(newest.length, 1);
+
+        const strict = new OutboundQueue({ maxSize: 1, overflow: 'error' });
+        strict.enqueue({ message: 'a' });
+        assert.throws(() => strict.enqueue({ message: 'b' }), /Outbound queue is full \(1 messages\)/);
+
+        assert.throws(() => new OutboundQueue({ overflow: 'drop-random' }), /Unknown queue overflow policy/);
+    });
+
+    test('Specific: delivery promises resolve on flush and reject on clear', async () => {
+        const queue = new OutboundQueue();
+        const delivered = queue.enqueue({ message: 'a' });
+        queue.flush(() => {});
+        assert.strictEqual(await settle(delivered), 'sent');
+
+        const cleared = queue.enqueue({ message: 'b' });
+        queue.clear(new Error('closed'));
+        assert.strictEqual(await settle(cleared), 'closed');
+        assert.strictEqual(queue.length, 0);
+    });
+
+    test('Specific: a failed write stops the flush and keeps the message', () => {
+        const queue = new OutboundQueue();
+        ['a', 'b', 'c'].forEach(message => queue.enqueue({ message }));
+        const written = [];
+        assert.throws(() => queue.flush(entry => {
+            if (entry.message === 'b') throw new Error('socket gone');
+            written.push(entry.message);
+        }), /socket gone/);
+        assert.deepStrictEqual(written, ['a']);
+        assert.strictEqual(queue.length, 2);
+    });
+
+    test('Specific: messages expire after their ttl', async () => {
+        const queue = new OutboundQueue({ ttl: 10 });
+        const short = queue.enqueue({ message: 'default ttl' });
+        const long = queue.enqueue({ message: 'own ttl' }, { ttl: 1000 });
+        assert.match(await settle(short), /expired after 10ms/);
+        assert.strictEqual(queue.length, 1);
+
+        queue.flush(() => {});
+        assert.strictEqual(await settle(long), 'sent');
+    });
+});
+
+// ============================================================================
+// Persistence
+// ============================================================================
+
+describe('Outbox Storage', () => {
+    test('Property: restored messages keep their order and payloads, ahead of new ones', async () => {
+        await fc.assert(
+            fc.asyncProperty(
+                fc.array(fc.oneof(fc.string(), fc.uint8Array({ maxLength: 20 })), { maxLength: 20 }),
+                async (messages) => {
+                    const storage = createMemoryOutboxStorage();
+                    const before = new OutboundQueue({ storage });
+                    messages.forEach((message, i) => before.enqueue({ message, duVariant: i % 3 }));
+                    await before.settled();
+
+                    const after = new OutboundQueue({ storage });
+                    after.enqueue({ message: 'new', duVariant: 0 });
+                    assert.strictEqual(await after.restore(), messages.length);
+
+                    const written = [];
+                    after.flush(entry => written.push([entry.message, entry.duVariant]));
+                    assert.deepStrictEqual(written, [...messages.map((m, i) => [m, i % 3]), ['new', 0]]);
+
+                    await after.settled();
+                    assert.deepStrictEqual(await storage.load(), []);
+                    return true;
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+
+    test('Specific: cleared messages stay stored; dropped and expired ones do not', async () => {
+        const storage = createMemoryOutboxStorage();
+        const queue = new OutboundQueue({ storage, maxSize: 2 });
+        queue.enqueue({ message: 'dropped' });
+        queue.enqueue({ message: 'kept' });
+        queue.enqueue({ message: 'expires' }, { ttl: 5 });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await queue.settled();
+        assert.deepStrictEqual((await storage.load()).map(r => r.text), ['kept']);
+
+        const cleared = queue.enqueue({ message: 'cleared' });
+        queue.clear(new Error('closed'));
+        assert.strictEqual(await settle(cleared), 'closed');
+        await queue.settled();
+        assert.deepStrictEqual((await storage.load()).map(r => r.text), ['kept', 'cleared']);
+
+        const next = new OutboundQueue({ storage });
+        assert.strictEqual(await next.restore(), 2);
+        next.clear(new Error('discarded'), { discard: true });
+        await next.settled();
+        assert.deepStrictEqual(await storage.load(), []);
+    });
+
+    test('Specific: records that expired while stored are not restored', async () => {
+        const storage = createMemoryOutboxStorage();
+        await storage.add({ id: 'a', duVariant: 0, expiresAt: Date.now() - 1, text: 'stale' });
+        await storage.add({ id: 'b', duVariant: 0, expiresAt: null, text: 'fresh' });
+
+        const queue = new OutboundQueue({ storage });
+        assert.strictEqual(await queue.restore(), 1);
+        await queue.settled();
+        assert.deepStrictEqual((await storage.load()).map(r => r.id), ['b']);
+    });
+});
@@ -0,0 +1,307 @@
+/**
+ * Tests for JSON-RPC 2.0 calls over the String variant
+ *
+ * The mock server answers requests the way a Lamdera backend following the
+ * README's JSON-RPC convention would.
+ */
+
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { LamderaWebSocket, W } = require('../src/index.js');
+const { LamderaMockServer } = require('../src/mock-server.js');
+const { LamderaRpcClient, RpcError, createRpcServer } = require('../src/rpc.js');
+const { WebSocketServer } = require('ws');
+const { execFile } = require('node:child_process');
+const path = require('node:path');
+
+const FAST = { initialDelayMax: 1, retryBaseDelay: 1, retryMaxDelay: 20 };
+
+const METHODS = {
+    add: ([a, b]) => a + b,
+    echo: (params) => params,
+    fail: () => {
+        throw Object.assign(new Error('Nope'), { code: -32000, data: { reason: 'test' } });
+    }
+};
+
+const answer = (request) => {
+    const method = METHODS[request.method];
+    if (request.method === 'slow' || request.id === undefined) return null;
+    if (!method) {
+        return { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: 'Method not found' } };
+    }
+    try {
+        return { jsonrpc: '2.0', id: request.id, result: method(request.params) };
+    } catch (e) {
+        return { jsonrpc: '2.0', id: request.id, error: { code: e.code, message: e.message, data: e.data } };
+    }
+};
+
+// ============================================================================
+// Client
+// ============================================================================
+
+describe('LamderaRpcClient', () => {
+    let server;
+    const notifications = [];
+    const clients = [];
+
+    const open = async (options = {}) => {
+        const ws = new LamderaWebSocket(server.url, [], FAST);
+        const opened = new Promise(resolve => { ws.onopen = resolve; });
+        const rpc = new LamderaRpcClient(ws, options);
+        clients.push(rpc);
+        await opened;
+        return rpc;
+    };
+
+    before(async () => {
+        server = new LamderaMockServer();
+        server.handle(0, (text, client) => {
+            const request = JSON.parse(text);
+            if (Array.isArray(request)) {
+                const responses = request.map(answer).filter(Boolean);
+                if (responses.length > 0) client.send(JSON.stringify(responses.reverse()));
+                return;
+            }
+            if (request.id === undefined) {
+                notifications.push(request);
+                return;
+            }
+            const response = answer(request);
+            if (response) client.send(JSON.stringify(response));
+        });
+        await server.listen();
+    });
+
+    afterEach(() => {
+        for (const rpc of clients.splice(0)) rpc.close();
+        notifications.length = 0;
+    });
+
+    after(() => server.close());
+
+    test('Specific: calls resolve with their own results', async () => {
+        const rpc = await open();
+        const [sum, echoed] = await Promise.all([
+            rpc.call('add', [2, 3]),
+            rpc.call('echo', { nested: ['λ', null] })
+        ]);
+        assert.strictEqual(sum, 5);
+        assert.deepStrictEqual(echoed, { nested: ['λ', null] });
+    });
+
+    test('Specific: handlers set on the socket later do not detach the client', async () => {
+        const rpc = await open();
+        const seen = [];
+        rpc.ws.onmessage = (event) => seen.push(JSON.parse(event.data).result);
+        assert.strictEqual(await rpc.call('add', [2, 2]), 4);
+        assert.deepStrictEqual(seen, [4]);
+    });
+
+    test('Specific: a URL opens its own socket and early calls are delivered', async () => {
+        const rpc = new LamderaRpcClient(server.url, FAST);
+        clients.push(rpc);
+        assert.strictEqual(await rpc.call('add', [1, 1]), 2);
+    });
+
+    test('Specific: calls resolve when toFrontend decodes the String variant', async () => {
+        const toFrontendCodecs = [
+            W.custom([W.variant('A00_WebSocketSend', W.string), W.variant('Other', W.int)]),
+            { 0: W.string }
+        ];
+
+        for (const toFrontend of toFrontendCodecs) {
+            const rpc = new LamderaRpcClient(server.url, { ...FAST, toFrontend, timeout: 1000 });
+            clients.push(rpc);
+            assert.strictEqual(await rpc.call('add', [20, 22]), 42);
+        }
+    });
+
+    test('Specific: pending calls do not keep an unref\'d client\'s process alive', async () => {
+        const script = `
+            const { LamderaRpcClient } = require(${JSON.stringify(path.join(__dirname, '..', 'src', 'rpc.js'))});
+            const rpc = new LamderaRpcClient(process.argv[1], { initialDelayMax: 1, unref: true, timeout: 60000 });
+            const keepAlive = setInterval(() => {}, 1000);
+            rpc.ws.onopen = () => {
+                console.log('open');
+                rpc.call('slow').catch(() => {});
+                clearInterval(keepAlive);
+            };
+        `;
+        const { code, stdout } = await new Promise(resolve => {
+            execFile(process.execPath, ['-e', script, server.url], { timeout: 5000 }, (error, stdout) => {
+                resolve({ code: error ? error.code || error.signal : 0, stdout });
+            });
+        });
+
+        assert.strictEqual(code, 0);
+        assert.strictEqual(stdout.trim(), 'open');
+    });
+
+    test('Specific: error responses reject with RpcError', async () => {
+        const rpc = await open();
+        await assert.rejects(rpc.call('fail'), (error) => {
+            assert.ok(error instanceof RpcError);
+            assert.strictEqual(error.code, -32000);
+            assert.strictEqual(error.message, 'Nope');
+            assert.deepStrictEqual(error.data, { reason: 'test' });
+            return true;
+        });
+        await assert.rejects(rpc.call('missing'), { code: -32601 });
+    });
+
+    test('Specific: unanswered calls time out', async () => {
+        const rpc = await open({ timeout: 50 });
+        await assert.rejects(rpc.call('slow'), /timed out after 50ms/);
+        await assert.rejects(rpc.call('slow', [], { timeout: 10 }), /timed out after 10ms/);
+    });
+
+    test('Specific: pending calls reject when the connection closes', async () => {
+        const rpc = await open({ timeout: 0 });
+        const pending = rpc.call('slow');
+        server.clients.get(rpc.ws.clientId).close(1008, 'policy violation');
+        await assert.rejects(pending, /Connection closed \(code 1008\)/);
+    });
+
+    test('Specific: pending calls reject when a reconnect replaces the connection', async () => {
+        const rpc = await open({ timeout: 0 });
+        const pending = rpc.call('slow');
+        const log = console.log;
+        console.log = () => {};
+        try {
+            server.clients.get(rpc.ws.clientId).close(1012, 'service restart');
+            await assert.rejects(pending, /Connection was replaced/);
+            assert.strictEqual(await rpc.call('add', [1, 2]), 3);
+        } finally {
+            console.log = log;
+        }
+    });
+
+    test('Specific: notifications get no id and no response', async () => {
+        const rpc = await open();
+        rpc.notify('log', ['hello']);
+        assert.strictEqual(await rpc.call('add', [0, 0]), 0);
+        assert.deepStrictEqual(notifications, [{ jsonrpc: '2.0', method: 'log', params: ['hello'] }]);
+    });
+
+    test('Specific: batches resolve in request order with per-call results', async () => {
+        const rpc = await open();
+        const results = await rpc.batch([
+            { method: 'add', params: [1, 2] },
+            { method: 'log', params: ['batched'], notify: true },
+            { method: 'fail' },
+            { method: 'echo', params: 'x' }
+        ]);
+        assert.deepStrictEqual(results[0], { ok: true, value: 3 });
+        assert.strictEqual(results[1], null);
+        assert.strictEqual(results[2].ok, false);
+        assert.ok(results[2].error instanceof RpcError);
+        assert.deepStrictEqual(results[3], { ok: true, value: 'x' });
+    });
+
+    test('Specific: server notifications and plain messages reach their handlers', async () => {
+        const rpc = await open();
+        const client = server.clients.get(rpc.ws.clientId);
+
+        const notified = new Promise(resolve => {
+            rpc.onnotification = (method, params) => resolve({ method, params });
+        });
+        client.send(JSON.stringify({ jsonrpc: '2.0', method: 'tick', params: [1] }));
+        assert.deepStrictEqual(await notified, { method: 'tick', params: [1] });
+
+        const plain = new Promise(resolve => { rpc.onmessage = resolve; });
+        client.send('not json-rpc');
+        assert.strictEqual((await plain).data, 'not json-rpc');
+    });
+});
+
+// ============================================================================
+// Server
+// ============================================================================
+
+describe('createRpcServer', () => {
+    const methods = {
+        add: ([a, b]) => a + b,
+        whoami: (params, { sessionId }) => sessionId,
+        later: async (ms) => new Promise(resolve => setTimeout(() => resolve(ms), ms)),
+        nothing: () => undefined,
+        fail: () => {
+            throw new RpcError(-32602, 'Invalid params', { expected: 'array' });
+        },
+        crash: () => {
+            throw new Error('boom');
+        },
+        huge: () => 2n ** 64n
+    };
+
+    test('Specific: requests are answered per the JSON-RPC 2.0 spec', async () => {
+        const { handle } = createRpcServer({ methods });
+        const call = async (request) => JSON.parse(await handle(JSON.stringify(request)));
+
+        assert.deepStrictEqual(await call({ jsonrpc: '2.0', id: 1, method: 'add', params: [2, 3] }), { jsonrpc: '2.0', id: 1, result: 5 });
+        assert.deepStrictEqual(await call({ jsonrpc: '2.0', id: 2, method: 'nothing' }), { jsonrpc: '2.0', id: 2, result: null });
+        assert.deepStrictEqual((await call({ jsonrpc: '2.0', id: 3, method: 'fail' })).error, { code: -32602, message: 'Invalid params', data: { expected: 'array' } });
+        assert.deepStrictEqual((await call({ jsonrpc: '2.0', id: 4, method: 'crash' })).error, { code: -32603, message: 'boom' });
+        assert.deepStrictEqual((await call({ jsonrpc: '2.0', id: 5, method: 'toString' })).error, { code: -32601, message: 'Method not found' });
+        assert.deepStrictEqual((await call({ id: 6, method: 'add' })).error, { code: -32600, message: 'Invalid Request' });
+        assert.deepStrictEqual(JSON.parse(await handle('{')), { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+    });
+
+    test('Specific: notifications and notification-only batches get no response', async () => {
+        const { handle } = createRpcServer({ methods });
+        assert.strictEqual(await handle(JSON.stringify({ jsonrpc: '2.0', method: 'add', params: [1, 1] })), null);
+        assert.strictEqual(await handle(JSON.stringify([{ jsonrpc: '2.0', method: 'nothing' }])), null);
+        assert.strictEqual(JSON.parse(await handle('[]')).error.code, -32600);
+    });
+
+    test('Specific: LamderaRpcClient talks to it over the Lamdera transport', async () => {
+        const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+        await new Promise(resolve => wss.once('listening', resolve));
+        const rpcServer = createRpcServer({ methods, server: wss });
+        const url = `ws://127.0.0.1:${wss.address().port}/_w`;
+        const rpc = new LamderaRpcClient(url, { ...FAST, sessionId: 'rpc-session' });
+
+        try {
+            assert.strictEqual(await rpc.call('whoami'), 'rpc-session');
+
+            const results = await rpc.batch([
+                { method: 'later', params: 30 },
+                { method: 'add', params: [1, 2] },
+                { method: 'crash' }
+            ]);
+            assert.deepStrictEqual(results.slice(0, 2), [{ ok: true, value: 30 }, { ok: true, value: 3 }]);
+            assert.strictEqual(results[2].error.code, -32603);
+
+            const notified = new Promise(resolve => {
+                rpc.onnotification = (method, params) => resolve([method, params]);
+            });
+            rpcServer.notify('tick', [1], rpc.ws.clientId);
+            assert.deepStrictEqual(await notified, ['tick', [1]]);
+        } finally {
+            rpc.close();
+            rpcServer.close();
+            await new Promise(resolve => wss.close(resolve));
+        }
+    });
+
+    test('Specific: a result that cannot be serialized is answered with an Internal error', async () => {
+        const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+        await new Promise(resolve => wss.once('listening', resolve));
+        const rpcServer = createRpcServer({ methods, server: wss });
+        const rpc = new LamderaRpcClient(`ws://127.0.0.1:${wss.address().port}/_w`, { ...FAST, timeout: 1000 });
+
+        try {
+            await assert.rejects(rpc.call('huge'), (error) => error instanceof RpcError && error.code === -32603);
+
+            const results = await rpc.batch([{ method: 'huge' }, { method: 'add', params: [1, 2] }]);
+            assert.strictEqual(results[0].error.code, -32603);
+            assert.deepStrictEqual(results[1], { ok: true, value: 3 });
+        } finally {
+            rpc.close();
+            rpcServer.close();
+            await new Promise(resolve => wss.close(resolve));
+        }
+    });
+});
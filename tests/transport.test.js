@@ -0,0 +1,141 @@
+/**
+ * Tests for the Lamdera JSON transport layer
+ *
+ * Frames carry a base64 Wire3 payload in `b`; these tests check how
+ * parseTransportMessage classifies and decodes them.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fc = require('fast-check');
+
+const {
+    W,
+    VariantRegistry,
+    createVariantRegistry,
+    parseTransportMessage,
+    encodeMessage
+} = require('../src/index.js');
+
+const frame = (bytes, extra = {}) => JSON.stringify({
+    t: 'ToFrontend',
+    s: 'session',
+    c: 'connection',
+    b: Buffer.from(bytes).toString('base64'),
+    ...extra
+});
+
+const ToFrontend = W.custom([
+    W.variant('A00_WebSocketSend', W.string),
+    W.variant('UserDataToFrontend', W.record({ name: W.string, age: W.int })),
+    W.variant('NoOpToFrontend')
+]);
+
+// ============================================================================
+// Default String Variant
+// ============================================================================
+
+describe('Transport: String Variant', () => {
+    test('Property: string messages on the expected variant decode', () => {
+        fc.assert(
+            fc.property(fc.string(), (s) => {
+                const parsed = parseTransportMessage(frame(encodeMessage(s, 0x00)));
+                return parsed.type === 'message' && parsed.data === s && parsed.value === s &&
+                       parsed.variant === 0 && parsed.connectionId === 'connection';
+            }),
+            { numRuns: 500 }
+        );
+    });
+
+    test('Specific: other variants come back undecodable with raw bytes', () => {
+        const bytes = encodeMessage('hi', 0x02);
+        const parsed = parseTransportMessage(frame(bytes));
+        assert.strictEqual(parsed.type, 'undecodable');
+        assert.strictEqual(parsed.tag, 2);
+        assert.ok(Buffer.from(parsed.raw).equals(bytes));
+        assert.strictEqual(parsed.connectionId, 'connection');
+        assert.match(parsed.error, /Expected DU variant 0/);
+    });
+
+    test('Specific: frames without a payload are protocol frames', () => {
+        const parsed = parseTransportMessage(JSON.stringify({ t: 's', s: 'session', c: 'connection' }));
+        assert.strictEqual(parsed.type, 'protocol');
+        assert.strictEqual(parsed.connectionId, 'connection');
+    });
+
+    test('Specific: election frames report the leader', () => {
+        const parsed = parseTransportMessage(JSON.stringify({ t: 'e', l: 'leader' }));
+        assert.strictEqual(parsed.type, 'election');
+        assert.strictEqual(parsed.leaderId, 'leader');
+    });
+
+    test('Specific: invalid JSON is an error', () => {
+        const parsed = parseTransportMessage('not json');
+        assert.strictEqual(parsed.type, 'error');
+        assert.strictEqual(parsed.rawData, 'not json');
+    });
+});
+
+// ============================================================================
+// Variant Registry
+// ============================================================================
+
+describe('Transport: Variant Registry', () => {
+    test('Property: every variant of a custom codec decodes', () => {
+        const value = fc.oneof(
+            fc.string().map(s => ({ tag: 'A00_WebSocketSend', args: [s] })),
+            fc.record({ name: fc.string(), age: fc.integer() }).map(u => ({ tag: 'UserDataToFrontend', args: [u] })),
+            fc.constant({ tag: 'NoOpToFrontend', args: [] })
+        );
+        fc.assert(
+            fc.property(value, (v) => {
+                const parsed = parseTransportMessage(frame(ToFrontend.encode(v)), ToFrontend);
+                assert.strictEqual(parsed.type, 'message');
+                assert.strictEqual(parsed.variant, v.tag);
+                assert.strictEqual(parsed.tag, ToFrontend.tagOf(v.tag));
+                assert.deepStrictEqual(parsed.value, v);
+                return true;
+            }),
+            { numRuns: 500 }
+        );
+    });
+
+    test('Specific: tag -> codec maps decode the payload after the tag', () => {
+        const registry = createVariantRegistry({
+            0: W.string,
+            2: { name: 'Scores', codec: W.list(W.int) }
+        });
+        const scores = parseTransportMessage(frame(encodeMessage(W.list(W.int).encode([1, 2]), 2)), registry);
+        assert.strictEqual(scores.type, 'message');
+        assert.strictEqual(scores.variant, 'Scores');
+        assert.deepStrictEqual(scores.value, [1, 2]);
+
+        const text = parseTransportMessage(frame(encodeMessage('hi', 0)), new Map([[0, W.string]]));
+        assert.strictEqual(text.variant, 0);
+        assert.strictEqual(text.value, 'hi');
+    });
+
+    test('Specific: unregistered tags and malformed payloads are undecodable', () => {
+        const registry = new VariantRegistry().register(0, W.string, 'Text');
+        assert.ok(registry.has(0));
+        assert.ok(!registry.has(1));
+
+        const unknown = parseTransportMessage(frame([1, 2, 3]), registry);
+        assert.strictEqual(unknown.type, 'undecodable');
+        assert.deepStrictEqual([...unknown.raw], [1, 2, 3]);
+        assert.match(unknown.error, /No decoder registered for variant 1/);
+
+        const truncated = parseTransportMessage(frame([0, 10, 0x68]), registry);
+        assert.strictEqual(truncated.type, 'undecodable');
+        assert.match(truncated.error, /too short/);
+
+        const trailing = parseTransportMessage(frame([0, 2, 0x68, 0xFF]), registry);
+        assert.strictEqual(trailing.type, 'undecodable');
+        assert.match(trailing.error, /decoded 3 of 4 bytes/);
+    });
+
+    test('Specific: createVariantRegistry returns an existing registry unchanged', () => {
+        const registry = new VariantRegistry(ToFrontend);
+        assert.strictEqual(createVariantRegistry(registry), registry);
+    });
+});
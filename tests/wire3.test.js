@@ -18,8 +18,34 @@ const {
     decodeInt64,
     encodeString,
     decodeString,
+    compareComparable,
+    encodeBool,
+    decodeBool,
+    encodeFloat,
+    decodeFloat,
+    encodeChar,
+    decodeChar,
+    encodeUnit,
+    decodeUnit,
+    encodeMaybe,
+    decodeMaybe,
+    encodeResult,
+    decodeResult,
+    encodeList,
+    decodeList,
+    encodeArray,
+    decodeArray,
+    encodeTuple,
+    decodeTuple,
+    encodeDict,
+    decodeDict,
+    encodeSet,
+    decodeSet,
+    encodeRecord,
+    decodeRecord,
     encodeMessage,
     decodeMessage,
+    createTransportMessage,
     WIRE3_ONE_BYTE_MAX,
     WIRE3_TWO_BYTE_MAX,
     WIRE3_TWO_BYTE_OFFSET,
@@ -396,7 +422,7 @@ describe('String Encoding', () => {
         // Length 5 -> zigzag 10 -> [10]
         // Then 'hello' in UTF-8
         assert.strictEqual(encoded[0], 10); // zigzag(5) = 10
-        assert.strictEqual(encoded.slice(1).toString('utf8'), 'hello');
+        assert.strictEqual(Buffer.from(encoded.slice(1)).toString('utf8'), 'hello');
     });
 
     test('Specific: multi-byte UTF-8 encoding', () => {
@@ -408,6 +434,206 @@ describe('String Encoding', () => {
     });
 });
 
+// ============================================================================
+// Core Type Encoding Properties (Bool, Float, Char, Unit, containers, records)
+// ============================================================================
+
+describe('Core Type Encoding', () => {
+    const roundTrips = (encode, decode, value, expected = value) => {
+        const encoded = encode(value);
+        const { value: decoded, bytesRead } = decode(encoded, 0);
+        assert.deepStrictEqual(decoded, expected);
+        assert.strictEqual(bytesRead, encoded.length);
+    };
+
+    test('Specific: Bool encodes to a single 0/1 byte', () => {
+        assert.deepStrictEqual([...encodeBool(false)], [0]);
+        assert.deepStrictEqual([...encodeBool(true)], [1]);
+        roundTrips(encodeBool, decodeBool, true);
+        roundTrips(encodeBool, decodeBool, false);
+        assert.throws(() => decodeBool(Buffer.from([2]), 0), /Invalid Wire3 bool/);
+    });
+
+    test('Property: Float round-trips as 8-byte float64 LE', () => {
+        fc.assert(
+            fc.property(fc.double({ noNaN: true }), (n) => {
+                const encoded = encodeFloat(n);
+                const { value, bytesRead } = decodeFloat(encoded, 0);
+                return encoded.length === 8 && Object.is(value, n) && bytesRead === 8;
+            }),
+            { numRuns: 2000 }
+        );
+        assert.deepStrictEqual([...encodeFloat(1)], [0, 0, 0, 0, 0, 0, 0xF0, 0x3F]);
+    });
+
+    test('Property: Char round-trips as a one-character string', () => {
+        fc.assert(
+            fc.property(fc.fullUnicode(), (c) => {
+                const encoded = encodeChar(c);
+                const { value, bytesRead } = decodeChar(encoded, 0);
+                return value === c && bytesRead === encoded.length &&
+                       Buffer.from(encoded).equals(encodeString(c));
+            }),
+            { numRuns: 2000 }
+        );
+        assert.throws(() => encodeChar('ab'), /single character/);
+        assert.throws(() => decodeChar(encodeString(''), 0), /Invalid Wire3 char/);
+    });
+
+    test('Specific: Unit encodes to zero bytes', () => {
+        assert.strictEqual(encodeUnit().length, 0);
+        assert.deepStrictEqual(decodeUnit(Buffer.alloc(0), 0), { value: null, bytesRead: 0 });
+    });
+
+    test('Property: Maybe round-trips with Nothing as null', () => {
+        const encode = encodeMaybe(encodeInt64);
+        const decode = decodeMaybe(decodeInt64);
+        assert.deepStrictEqual([...encode(null)], [0]);
+        assert.deepStrictEqual([...encode(1)], [1, 2]);
+        fc.assert(
+            fc.property(fc.option(fc.integer(), { nil: null }), (m) => {
+                roundTrips(encode, decode, m);
+                return true;
+            }),
+            { numRuns: 1000 }
+        );
+    });
+
+    test('Property: Result round-trips with Err as tag 0 and Ok as tag 1', () => {
+        const encode = encodeResult(encodeString, encodeInt64);
+        const decode = decodeResult(decodeString, decodeInt64);
+        assert.deepStrictEqual([...encode({ ok: false, error: 'x' })], [0, 2, 0x78]);
+        assert.deepStrictEqual([...encode({ ok: true, value: -1 })], [1, 1]);
+        fc.assert(
+            fc.property(
+                fc.oneof(
+                    fc.string().map(error => ({ ok: false, error })),
+                    fc.integer().map(value => ({ ok: true, value }))
+                ),
+                (r) => {
+                    roundTrips(encode, decode, r);
+                    return true;
+                }
+            ),
+            { numRuns: 1000 }
+        );
+    });
+
+    test('Property: List and Array round-trip with a zigzag length prefix', () => {
+        assert.deepStrictEqual([...encodeList(encodeInt64)([1, 2, 3])], [6, 2, 4, 6]);
+        fc.assert(
+            fc.property(fc.array(fc.string(), { maxLength: 50 }), (items) => {
+                roundTrips(encodeList(encodeString), decodeList(decodeString), items);
+                roundTrips(encodeArray(encodeString), decodeArray(decodeString), items);
+                return true;
+            }),
+            { numRuns: 500 }
+        );
+    });
+
+    test('Property: tuples and triples are components back to back', () => {
+        fc.assert(
+            fc.property(fc.integer(), fc.string(), fc.boolean(), (a, b, c) => {
+                roundTrips(encodeTuple(encodeInt64, encodeString), decodeTuple(decodeInt64, decodeString), [a, b]);
+                const triple = encodeTuple(encodeInt64, encodeString, encodeBool)([a, b, c]);
+                return Buffer.from(triple).equals(Buffer.concat([encodeInt64(a), encodeString(b), encodeBool(c)]));
+            }),
+            { numRuns: 1000 }
+        );
+    });
+
+    test('Property: Dict encodes as a key-sorted list of pairs and decodes to a Map', () => {
+        const encode = encodeDict(encodeString, encodeInt64);
+        const decode = decodeDict(decodeString, decodeInt64);
+        fc.assert(
+            fc.property(fc.dictionary(fc.string(), fc.integer()), (obj) => {
+                const sortedEntries = Object.entries(obj).sort(([a], [b]) => compareComparable(a, b));
+                const fromObject = encode(obj);
+                const fromMap = encode(new Map(Object.entries(obj).reverse()));
+                const { value, bytesRead } = decode(fromObject, 0);
+                return Buffer.from(fromObject).equals(fromMap) &&
+                       bytesRead === fromObject.length &&
+                       JSON.stringify([...value]) === JSON.stringify(sortedEntries);
+            }),
+            { numRuns: 500 }
+        );
+    });
+
+    test('Property: Set encodes members in ascending order', () => {
+        const encode = encodeSet(encodeInt64);
+        fc.assert(
+            fc.property(fc.uniqueArray(fc.integer({ min: -1000, max: 1000 })), (members) => {
+                const sorted = [...members].sort((a, b) => a - b);
+                const encoded = encode(new Set(members));
+                const { value } = decodeSet(decodeInt64)(encoded, 0);
+                return Buffer.from(encoded).equals(encodeList(encodeInt64)(sorted)) &&
+                       JSON.stringify([...value]) === JSON.stringify(sorted);
+            }),
+            { numRuns: 500 }
+        );
+    });
+
+    test('Specific: compareComparable orders tuples lexicographically', () => {
+        assert.ok(compareComparable([1, 'b'], [1, 'c']) < 0);
+        assert.ok(compareComparable([2, 'a'], [1, 'z']) > 0);
+        assert.ok(compareComparable([1], [1, 0]) < 0);
+        assert.strictEqual(compareComparable('a', 'a'), 0);
+    });
+
+    test('Property: nested records encode fields in alphabetical order', () => {
+        const encodeUser = encodeRecord({
+            name: encodeString,
+            age: encodeInt64,
+            address: encodeRecord({ zip: encodeString, city: encodeString }),
+            tags: encodeList(encodeString)
+        });
+        const decodeUser = decodeRecord({
+            tags: decodeList(decodeString),
+            address: decodeRecord({ city: decodeString, zip: decodeString }),
+            age: decodeInt64,
+            name: decodeString
+        });
+
+        const user = { name: 'Ada', age: 36, address: { city: 'London', zip: 'N1' }, tags: ['x'] };
+        const encoded = encodeUser(user);
+        assert.ok(Buffer.from(encoded).equals(Buffer.concat([
+            encodeString('London'), encodeString('N1'),
+            encodeInt64(36),
+            encodeString('Ada'),
+            encodeList(encodeString)(['x'])
+        ])));
+
+        fc.assert(
+            fc.property(
+                fc.record({
+                    name: fc.string(),
+                    age: fc.integer(),
+                    address: fc.record({ city: fc.string(), zip: fc.string() }),
+                    tags: fc.array(fc.string(), { maxLength: 5 })
+                }),
+                (u) => {
+                    roundTrips(encodeUser, decodeUser, u);
+                    return true;
+                }
+            ),
+            { numRuns: 500 }
+        );
+    });
+
+    test('Property: truncated container buffers are detected', () => {
+        const encode = encodeList(encodeMaybe(encodeString));
+        const decode = decodeList(decodeMaybe(decodeString));
+        fc.assert(
+            fc.property(fc.array(fc.string({ minLength: 1 }), { minLength: 1, maxLength: 10 }), (items) => {
+                const encoded = encode(items);
+                assert.throws(() => decode(encoded.slice(0, encoded.length - 1), 0), /too short/);
+                return true;
+            }),
+            { numRuns: 300 }
+        );
+    });
+});
+
 // ============================================================================
 // Message Encoding Properties (DU variant + payload)
 // ============================================================================
@@ -478,6 +704,34 @@ describe('Message Encoding', () => {
             { numRuns: 1000 }
         );
     });
+
+    test('Property: byte payloads are written after the tag unchanged', () => {
+        fc.assert(
+            fc.property(fc.integer({ min: 0, max: 255 }), fc.uint8Array({ maxLength: 50 }), (variant, payload) => {
+                const encoded = encodeMessage(Buffer.from(payload), variant);
+                return encoded[0] === variant &&
+                       Buffer.compare(encoded.slice(1), Buffer.from(payload)) === 0;
+            }),
+            { numRuns: 1000 }
+        );
+    });
+
+    test('Specific: DU variant outside a byte is rejected', () => {
+        assert.throws(() => encodeMessage('x', 256), /DU variant must be an integer 0-255/);
+        assert.throws(() => encodeMessage('x', -1), /DU variant must be an integer 0-255/);
+    });
+
+    test('Property: transport message carries the tagged payload as base64', () => {
+        fc.assert(
+            fc.property(fc.integer({ min: 0, max: 255 }), fc.uint8Array({ maxLength: 50 }), (variant, payload) => {
+                const transport = JSON.parse(createTransportMessage('sid', 'cid', Buffer.from(payload), variant));
+                const bytes = Buffer.from(transport.b, 'base64');
+                return transport.t === 'ToBackend' && transport.c === 'cid' &&
+                       bytes.equals(encodeMessage(Buffer.from(payload), variant));
+            }),
+            { numRuns: 500 }
+        );
+    });
 });
 
 // ============================================================================